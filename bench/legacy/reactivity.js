@@ -0,0 +1,369 @@
+/**
+ * cumstack Reactivity System (legacy snapshot)
+ * eager implementation kept only for comparison in bench/reactivity.js
+ */
+
+let currentEffect = null;
+let currentOwner = null;
+const effectStack = [];
+let batchDepth = 0;
+let pending = null;
+let schedule = null;
+
+/**
+ * create an owner node for the current scope
+ * @returns {Object} Owner node
+ */
+function createOwner() {
+  return { owner: currentOwner, owned: null, cleanups: null, disposed: false };
+}
+
+/**
+ * unsubscribe a computation from every signal it read
+ * @param {Object} node - Computation node
+ */
+function cleanSources(node) {
+  for (const subscribers of node.sources) subscribers.delete(node);
+  node.sources.clear();
+}
+
+/**
+ * dispose owned children and run cleanups, keeping the owner usable
+ * @param {Object} owner - Owner node
+ */
+function cleanOwner(owner) {
+  if (owner.sources) cleanSources(owner);
+  if (owner.owned) {
+    const owned = owner.owned;
+    owner.owned = null;
+    for (const child of owned) disposeOwner(child);
+  }
+  if (owner.cleanups) {
+    const cleanups = owner.cleanups;
+    owner.cleanups = null;
+    for (let i = cleanups.length - 1; i >= 0; i--) cleanups[i]();
+  }
+}
+
+/**
+ * dispose an owner and everything it owns
+ * @param {Object} owner - Owner node
+ */
+function disposeOwner(owner) {
+  if (owner.disposed) return;
+  owner.disposed = true;
+  cleanOwner(owner);
+}
+
+/**
+ * create a root scope that owns every effect, memo and resource created inside it
+ * @template T
+ * @param {(dispose: () => void) => T} fn - Function receiving the dispose callback
+ * @returns {T} Result of the function
+ */
+export function createRoot(fn) {
+  const root = createOwner();
+  const dispose = () => disposeOwner(root);
+  return runWithOwner(root, () => untrack(() => fn(dispose)));
+}
+
+/**
+ * register a cleanup callback on the current owner scope
+ * @param {() => void} fn - Cleanup function
+ * @returns {() => void} The cleanup function
+ */
+export function onCleanup(fn) {
+  if (currentOwner) (currentOwner.cleanups ||= []).push(fn);
+  return fn;
+}
+
+/**
+ * get the current owner scope
+ * @returns {Object|null} Owner node
+ */
+export function getOwner() {
+  return currentOwner;
+}
+
+/**
+ * run a function inside a given owner scope
+ * @template T
+ * @param {Object|null} owner - Owner node from getOwner()
+ * @param {() => T} fn - Function to run
+ * @returns {T} Result of the function
+ */
+export function runWithOwner(owner, fn) {
+  const prev = currentOwner;
+  currentOwner = owner;
+  try {
+    return fn();
+  } finally {
+    currentOwner = prev;
+  }
+}
+
+/**
+ *  create a reactive signal
+ * @template T
+ * @param {T} initial - Initial value
+ * @returns {[() => T, (next: T | ((prev: T) => T)) => void]} Tuple of [getter, setter]
+ */
+export function createMoan(initial) {
+  let value = initial;
+  const subscribers = new Set();
+  const read = () => {
+    if (currentEffect) {
+      subscribers.add(currentEffect);
+      currentEffect.sources.add(subscribers);
+    }
+    return value;
+  };
+  const write = (next) => {
+    const newValue = typeof next === "function" ? next(value) : next;
+    if (Object.is(value, newValue)) return;
+    value = newValue;
+    const effects = [...subscribers];
+    for (const effect of effects) if (subscribers.has(effect)) (schedule || ((e) => e()))(effect.run);
+  };
+  return [read, write];
+}
+
+/**
+ * create an effect that runs when dependencies change
+ * effects belong to the scope they are created in and are disposed with it
+ * @param {() => void} fn - Effect function
+ * @returns {() => void} Dispose function to stop the effect
+ */
+export function onClimax(fn) {
+  const owner = createOwner();
+  if (owner.owner) (owner.owner.owned ||= []).push(owner);
+  // signals read during the last run, re-collected on every run
+  owner.sources = new Set();
+  const effect = () => {
+    if (owner.disposed) return;
+    const prevOwner = currentOwner;
+    effectStack.push(owner);
+    try {
+      // drop stale subscriptions, dispose nested effects and run cleanups from the previous run
+      untrack(() => cleanOwner(owner));
+      currentEffect = currentOwner = owner;
+      const result = fn();
+      if (typeof result === "function") (owner.cleanups ||= []).push(result);
+    } catch (err) {
+      console.error("Effect error:", err);
+    } finally {
+      currentOwner = prevOwner;
+      effectStack.pop();
+      currentEffect = effectStack[effectStack.length - 1] || null;
+    }
+  };
+  owner.run = effect;
+  batch(effect);
+  return () => {
+    disposeOwner(owner);
+    const siblings = owner.owner?.owned;
+    const index = siblings ? siblings.indexOf(owner) : -1;
+    if (index > -1) siblings.splice(index, 1);
+  };
+}
+
+/**
+ * create a computed value
+ * @template T
+ * @param {() => T} fn - Computation function
+ * @returns {() => T} Getter for the computed value
+ */
+export function knotMemo(fn) {
+  let initialized = false;
+  let cached;
+  const [signal, setSignal] = createMoan();
+  onClimax(() => {
+    const result = fn();
+    if (!initialized || !Object.is(result, cached)) {
+      cached = result;
+      untrack(() => batch(() => setSignal(result)));
+      initialized = true;
+    }
+  });
+  return signal;
+}
+
+/**
+ * create a resource for async data fetching
+ * @template T
+ * @param {(signal: AbortSignal) => Promise<T>} fetcher - Async function to fetch data
+ * @param {(() => any) | null} deps - Optional signal to trigger refetch
+ * @param {T | null} initialValue - Initial value before data loads
+ * @returns {Object} Resource object with data, loading, error states and methods
+ */
+export function loadShot(fetcher, deps = null, initialValue = null) {
+  const [data, setData] = createMoan(initialValue);
+  const [loading, setLoading] = createMoan(false);
+  const [error, setError] = createMoan(null);
+  let controller = null;
+  let disposed = false;
+  const refetch = async () => {
+    if (controller) controller.abort();
+    controller = new AbortController();
+    const signal = controller.signal;
+    batch(() => {
+      setLoading(true);
+      setError(null);
+    });
+    try {
+      const result = await fetcher(signal);
+      batch(() => {
+        if (!signal.aborted) setData(result);
+      });
+    } catch (err) {
+      batch(() => {
+        if (!signal.aborted) setError(err);
+      });
+    } finally {
+      batch(() => {
+        if (!signal.aborted) setLoading(false);
+      });
+    }
+  };
+  let disposeDeps = null;
+  if (deps) {
+    disposeDeps = onClimax(() => {
+      const _ = deps();
+      refetch();
+    });
+  } else queueMicrotask(() => !disposed && refetch());
+  const dispose = () => {
+    disposed = true;
+    controller?.abort();
+    disposeDeps?.();
+  };
+  // abort in-flight requests when the owning scope is disposed
+  onCleanup(dispose);
+  return {
+    data,
+    loading,
+    error,
+    refetch,
+    dispose,
+    idle: () => !loading() && data() === initialValue,
+    success: () => !loading() && !error(),
+    hasError: () => !!error(),
+  };
+}
+
+/**
+ * batch multiple updates together
+ * @param {Function} fn - Function to run in batch
+ */
+export function batch(fn) {
+  if (batchDepth++ === 0) pending = new Set();
+  const prev = schedule;
+  schedule = (e) => pending.add(e);
+  try {
+    fn(schedule);
+  } finally {
+    schedule = prev;
+    if (--batchDepth === 0) {
+      const effects = pending;
+      pending = null;
+      for (const e of effects) e();
+    }
+  }
+}
+
+// external scheduling
+batch.schedule = (fn) => {
+  if (batchDepth > 0) pending.add(fn);
+  else fn();
+};
+
+/**
+ * run function without tracking dependencies
+ * @template T
+ * @param {() => T} fn - Function to run without tracking
+ * @returns {T} Result of the function
+ */
+export const untrack = (fn) => {
+  const prev = currentEffect;
+  currentEffect = null;
+  try {
+    return fn();
+  } finally {
+    currentEffect = prev;
+  }
+};
+
+/**
+ * get current location (pathname, search, hash)
+ * returns a reactive signal that updates on navigation
+ * @returns {Object} Location object with location signal, active function, and dispose method
+ */
+let locationInstance = null;
+export function useLocation() {
+  if (typeof window === "undefined") {
+    return {
+      location: () => ({ pathname: "/", search: "", hash: "" }),
+      active: () => false,
+      dispose: () => {},
+    };
+  }
+
+  // return singleton instance if already created
+  if (locationInstance) {
+    locationInstance.refCount++;
+    return {
+      location: locationInstance.location,
+      active: locationInstance.active,
+      dispose: () => {
+        if (--locationInstance.refCount === 0) {
+          locationInstance.dispose();
+          locationInstance = null;
+        }
+      },
+    };
+  }
+
+  // patch history methods once
+  if (!window.__locationPatched) {
+    ["pushState", "replaceState"].forEach((method) => {
+      const orig = history[method];
+      history[method] = function (...args) {
+        const result = orig.apply(this, args);
+        window.dispatchEvent(new Event(method.toLowerCase()));
+        return result;
+      };
+    });
+    window.__locationPatched = true;
+  }
+
+  const getLoc = () => ({
+    pathname: window.location.pathname,
+    search: window.location.search,
+    hash: window.location.hash,
+  });
+  const [location, setLocation] = createMoan(getLoc());
+  const update = () => batch(() => setLocation(getLoc()));
+  const events = ["popstate", "pushstate", "replacestate"];
+  events.forEach((e) => window.addEventListener(e, update));
+
+  const active = (path) => location().pathname === path;
+  const dispose = () => events.forEach((e) => window.removeEventListener(e, update));
+
+  locationInstance = {
+    location,
+    active,
+    dispose,
+    refCount: 1,
+  };
+
+  return {
+    location,
+    active,
+    dispose: () => {
+      if (--locationInstance.refCount === 0) {
+        locationInstance.dispose();
+        locationInstance = null;
+      }
+    },
+  };
+}
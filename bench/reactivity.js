@@ -0,0 +1,121 @@
+/**
+ * cumstack Reactivity Benchmarks
+ * compares the push-pull core with the previous eager implementation
+ *
+ * usage: node bench/reactivity.js [iterations]
+ */
+
+import * as current from "../src/app/shared/reactivity.js";
+import * as legacy from "./legacy/reactivity.js";
+
+const iterations = Number(process.argv[2]) || 200;
+
+/**
+ * benchmark cases
+ * each case builds a graph once and returns an update function plus a counter for effect runs
+ */
+const cases = {
+  "chain of 50 memos": ({ createMoan, knotMemo, onClimax }) => {
+    const [source, setSource] = createMoan(0);
+    let node = source;
+    for (let i = 0; i < 50; i++) {
+      const prev = node;
+      node = knotMemo(() => prev() + 1);
+    }
+    const last = node;
+    const stats = { runs: 0 };
+    onClimax(() => {
+      last();
+      stats.runs++;
+    });
+    return { stats, update: (i) => setSource(i + 1) };
+  },
+
+  "diamond, 100 wide": ({ createMoan, knotMemo, onClimax }) => {
+    const [source, setSource] = createMoan(0);
+    const branches = Array.from({ length: 100 }, (_, i) => knotMemo(() => source() + i));
+    const sum = knotMemo(() => branches.reduce((total, branch) => total + branch(), 0));
+    const stats = { runs: 0 };
+    onClimax(() => {
+      sum();
+      stats.runs++;
+    });
+    return { stats, update: (i) => setSource(i + 1) };
+  },
+
+  "fan-out, 1000 effects": ({ createMoan, onClimax }) => {
+    const [source, setSource] = createMoan(0);
+    const stats = { runs: 0 };
+    for (let i = 0; i < 1000; i++) {
+      onClimax(() => {
+        source();
+        stats.runs++;
+      });
+    }
+    return { stats, update: (i) => setSource(i + 1) };
+  },
+
+  "conditional branch": ({ createMoan, knotMemo, onClimax }) => {
+    const [toggle, setToggle] = createMoan(true);
+    const [a, setA] = createMoan(0);
+    const [b, setB] = createMoan(0);
+    const picked = knotMemo(() => (toggle() ? a() : b()));
+    const stats = { runs: 0 };
+    onClimax(() => {
+      picked();
+      stats.runs++;
+    });
+    return {
+      stats,
+      update: (i) => {
+        setToggle(i % 2 === 0);
+        setA(i);
+        setB(i);
+      },
+    };
+  },
+
+  "batched writes, 10 signals": ({ createMoan, knotMemo, onClimax, batch }) => {
+    const signals = Array.from({ length: 10 }, () => createMoan(0));
+    const total = knotMemo(() => signals.reduce((sum, [read]) => sum + read(), 0));
+    const stats = { runs: 0 };
+    onClimax(() => {
+      total();
+      stats.runs++;
+    });
+    return { stats, update: (i) => batch(() => signals.forEach(([, write]) => write(i + 1))) };
+  },
+};
+
+/**
+ * run a case against an implementation
+ * @param {Function} build - Case builder
+ * @param {Object} impl - Reactivity implementation
+ * @returns {{ ms: number, runsPerUpdate: number }}
+ */
+function run(build, impl) {
+  const { stats, update } = build(impl);
+  // warm up
+  for (let i = 0; i < 10; i++) update(i);
+  stats.runs = 0;
+  const start = performance.now();
+  for (let i = 10; i < iterations + 10; i++) update(i);
+  const ms = performance.now() - start;
+  return { ms, runsPerUpdate: stats.runs / iterations };
+}
+
+const results = {};
+for (const [name, build] of Object.entries(cases)) {
+  const a = run(build, legacy);
+  const b = run(build, current);
+  results[name] = {
+    "legacy ms": a.ms.toFixed(2),
+    "current ms": b.ms.toFixed(2),
+    speedup: `${(a.ms / b.ms).toFixed(2)}x`,
+    "legacy effect runs/update": a.runsPerUpdate,
+    "current effect runs/update": b.runsPerUpdate,
+  };
+}
+
+console.log(`cumstack reactivity benchmark (${iterations} updates per case)`);
+console.table(results);
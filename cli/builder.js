@@ -6,7 +6,7 @@
  */
 
 import path from "path";
-import { fileURLToPath } from "url";
+import { fileURLToPath, pathToFileURL } from "url";
 import { existsSync } from "fs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -29,6 +29,108 @@ function resolveWithExtension(basePath) {
   return basePath;
 }
 
+/**
+ * Plugin that passes the source module of lazy(() => import("...")) calls to lazy()
+ * The server looks the module up in the chunk manifest to add modulepreload hints
+ */
+function lazyChunkPlugin(appRoot) {
+  const srcDir = path.join(appRoot, "src");
+  return {
+    name: "cumstack-lazy-chunks",
+    setup(build) {
+      // only app sources can declare lazy routes, dependencies and framework sources load untouched
+      const escaped = (srcDir + path.sep).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      build.onLoad({ filter: new RegExp(`^${escaped}.*\\.[jt]sx?$`) }, async (args) => {
+        if (!args.path.startsWith(srcDir + path.sep)) return undefined;
+        const contents = await Bun.file(args.path).text();
+        const loader = path.extname(args.path).slice(1);
+        if (!contents.includes("lazy(")) return { contents, loader };
+        const annotated = contents.replace(/lazy\(\s*\(\)\s*=>\s*import\(\s*(["'])([^"']+)\1\s*\)\s*\)/g, (call, quote, specifier) => {
+          let basePath = null;
+          if (specifier.startsWith("~/")) basePath = path.join(srcDir, specifier.slice(2));
+          else if (specifier.startsWith(".")) basePath = path.join(path.dirname(args.path), specifier);
+          if (!basePath) return call;
+          const chunk = path.relative(appRoot, resolveWithExtension(basePath)).split(path.sep).join("/");
+          return `lazy(() => import(${quote}${specifier}${quote}), ${JSON.stringify(chunk)})`;
+        });
+        return { contents: annotated, loader };
+      });
+    },
+  };
+}
+
+/**
+ * Map the app modules in split chunks of the client build to their chunk and the chunks it imports
+ * Without a metafile the manifest stays empty and pages render without modulepreload hints
+ */
+function createChunkManifest(metafile, appRoot, clientDir) {
+  const manifest = {};
+  if (!metafile?.outputs) return manifest;
+  const toUrl = (file) => "/" + path.relative(clientDir, path.resolve(file)).split(path.sep).join("/");
+  for (const [file, output] of Object.entries(metafile.outputs)) {
+    if (!file.endsWith(".js") || toUrl(file) === "/main.client.js") continue;
+    const urls = [toUrl(file), ...(output.imports ?? []).filter((i) => i.kind === "import-statement").map((i) => toUrl(i.path))];
+    for (const input of Object.keys(output.inputs ?? {})) {
+      const source = path.relative(appRoot, path.resolve(input)).split(path.sep).join("/");
+      if (source.startsWith("src/")) manifest[source] = urls;
+    }
+  }
+  return manifest;
+}
+
+// @cumstack/app subpaths mapped to their framework modules, others resolve to <subpath>.js under src
+const CUMSTACK_SUBPATHS = {
+  "/server": "/app/server/index.js",
+  "/client": "/app/client/index.js",
+  "/shared": "/app/shared/index.js",
+  "/client/Lust": "/app/client/Lust.js",
+  "/client/Image": "/app/client/Image.js",
+  "/shared/i18n": "/app/shared/i18n.js",
+  "/shared/reactivity": "/app/shared/reactivity.js",
+  "/shared/store": "/app/shared/store.js",
+  "/shared/query": "/app/shared/query.js",
+  "/shared/boundaries": "/app/shared/boundaries.js",
+  "/shared/persisted": "/app/shared/persisted.js",
+  "/shared/primitives": "/app/shared/primitives.js",
+  "/shared/router": "/app/shared/router.js",
+  "/shared/base": "/app/shared/base.js",
+  "/shared/utils": "/app/shared/utils.js",
+  "/shared/language-codes": "/app/shared/language-codes.js",
+  "/shared/env": "/app/shared/env.js",
+  "/shared/api": "/app/shared/api.js",
+  "/shared/cdn": "/app/shared/cdn.js",
+};
+
+/**
+ * Plugin resolving @cumstack imports and the ~ alias, shared by the client and server builds
+ */
+function resolveCumstackPlugin(appRoot) {
+  return {
+    name: "resolve-cumstack",
+    setup(build) {
+      build.onResolve({ filter: /^@cumstack\/app/ }, (args) => {
+        let subpath = args.path.replace("@cumstack/app", "");
+        if (CUMSTACK_SUBPATHS[subpath]) subpath = CUMSTACK_SUBPATHS[subpath];
+        else if (!subpath.endsWith(".js")) subpath += ".js";
+        return {
+          path: path.join(__dirname, "..", "src", subpath),
+          external: false,
+        };
+      });
+      // resolve ~ alias to src directory
+      build.onResolve({ filter: /^~\// }, (args) => {
+        const subpath = args.path.replace("~", "src");
+        const basePath = path.join(appRoot, subpath);
+        const resolvedPath = resolveWithExtension(basePath);
+        return {
+          path: resolvedPath,
+          external: false,
+        };
+      });
+    },
+  };
+}
+
 export async function buildApp(appRoot, isDev = false, buildTimestamp = Date.now()) {
   const outDir = isDev ? "dist/dev" : "dist/live";
   console.log(`[cumstack] Building cumstack app for ${isDev ? "development" : "production"}...`);
@@ -36,6 +138,32 @@ export async function buildApp(appRoot, isDev = false, buildTimestamp = Date.now
   console.log(`[cumstack] App root: ${appRoot}`);
   console.log(`[cumstack] Entry point: ${path.join(appRoot, "src/entry.server.jsx")}`);
   globalThis.__BUILD_TIMESTAMP__ = buildTimestamp;
+  // build client entry first, the server build embeds its chunk manifest
+  const clientBuild = await Bun.build({
+    entrypoints: [path.join(appRoot, "src/entry.client.jsx")],
+    outdir: path.join(appRoot, outDir, "client"),
+    target: "browser",
+    format: "esm",
+    minify: !isDev,
+    sourcemap: isDev ? "inline" : "external",
+    // lazy() routes get their own chunks
+    splitting: true,
+    metafile: true,
+    naming: { entry: "[dir]/main.client.js", chunk: "chunks/[name]-[hash].[ext]" },
+    jsx: {
+      runtime: "automatic",
+      importSource: "hono/jsx",
+    },
+    // resolve @cumstack imports to framework package
+    plugins: [resolveCumstackPlugin(appRoot)],
+  });
+
+  if (!clientBuild.success) {
+    console.error("[cumstack] Client build failed:");
+    for (const log of clientBuild.logs) console.error(`  ${log.level}: ${log.message}`);
+    throw new Error("Client build failed");
+  }
+  const chunkManifest = createChunkManifest(clientBuild.metafile, appRoot, path.join(appRoot, outDir, "client"));
   let serverBuild;
   console.log("[cumstack] Starting server build...");
   try {
@@ -48,49 +176,14 @@ export async function buildApp(appRoot, isDev = false, buildTimestamp = Date.now
       sourcemap: isDev ? "inline" : "external",
       external: ["hono", "cloudflare:*"],
       naming: "[dir]/main.server.js",
+      // chunks of lazy routes, for modulepreload hints
+      define: { __CUMSTACK_CHUNKS__: JSON.stringify(chunkManifest) },
       jsx: {
         runtime: "automatic",
         importSource: "hono/jsx",
       },
       // resolve @cumstack imports to framework package
-      plugins: [
-        {
-          name: "resolve-cumstack",
-          setup(build) {
-            build.onResolve({ filter: /^@cumstack\/app/ }, (args) => {
-              let subpath = args.path.replace("@cumstack/app", "");
-              if (subpath === "/server") subpath = "/app/server/index.js";
-              else if (subpath === "/client") subpath = "/app/client/index.js";
-              else if (subpath === "/shared") subpath = "/app/shared/index.js";
-              else if (subpath === "/client/Lust") subpath = "/app/client/Lust.js";
-              else if (subpath === "/client/Image") subpath = "/app/client/Image.js";
-              else if (subpath === "/shared/i18n") subpath = "/app/shared/i18n.js";
-              else if (subpath === "/shared/reactivity") subpath = "/app/shared/reactivity.js";
-              else if (subpath === "/shared/router") subpath = "/app/shared/router.js";
-              else if (subpath === "/shared/utils") subpath = "/app/shared/utils.js";
-              else if (subpath === "/shared/language-codes") subpath = "/app/shared/language-codes.js";
-              else if (subpath === "/shared/env") subpath = "/app/shared/env.js";
-              else if (subpath === "/shared/api") subpath = "/app/shared/api.js";
-              else if (subpath === "/shared/cdn") subpath = "/app/shared/cdn.js";
-              else if (!subpath.endsWith(".js")) subpath += ".js";
-              return {
-                path: path.join(__dirname, "..", "src", subpath),
-                external: false,
-              };
-            });
-            // resolve ~ alias to src directory
-            build.onResolve({ filter: /^~\// }, (args) => {
-              const subpath = args.path.replace("~", "src");
-              const basePath = path.join(appRoot, subpath);
-              const resolvedPath = resolveWithExtension(basePath);
-              return {
-                path: resolvedPath,
-                external: false,
-              };
-            });
-          },
-        },
-      ],
+      plugins: [lazyChunkPlugin(appRoot), resolveCumstackPlugin(appRoot)],
     });
   } catch (error) {
     console.error("[cumstack] Server build threw an exception:");
@@ -106,60 +199,6 @@ export async function buildApp(appRoot, isDev = false, buildTimestamp = Date.now
     throw new Error("Server build failed");
   }
 
-  // build client entry
-  const clientBuild = await Bun.build({
-    entrypoints: [path.join(appRoot, "src/entry.client.jsx")],
-    outdir: path.join(appRoot, outDir, "client"),
-    target: "browser",
-    format: "esm",
-    minify: !isDev,
-    sourcemap: isDev ? "inline" : "external",
-    naming: "[dir]/main.client.js",
-    jsx: {
-      runtime: "automatic",
-      importSource: "hono/jsx",
-    },
-    // resolve @cumstack imports to framework package
-    plugins: [
-      {
-        name: "resolve-cumstack",
-        setup(build) {
-          build.onResolve({ filter: /^@cumstack\/app/ }, (args) => {
-            let subpath = args.path.replace("@cumstack/app", "");
-            if (subpath === "/server") subpath = "/app/server/index.js";
-            else if (subpath === "/client") subpath = "/app/client/index.js";
-            else if (subpath === "/shared/i18n") subpath = "/app/shared/i18n.js";
-            else if (subpath === "/shared/reactivity") subpath = "/app/shared/reactivity.js";
-            else if (subpath === "/shared/router") subpath = "/app/shared/router.js";
-            else if (subpath === "/shared/utils") subpath = "/app/shared/utils.js";
-            else if (subpath === "/shared/language-codes") subpath = "/app/shared/language-codes.js";
-            else if (subpath === "/client/Lust") subpath = "/app/client/Lust.js";
-            else if (!subpath.endsWith(".js")) subpath += ".js";
-            return {
-              path: path.join(__dirname, "..", "src", subpath),
-              external: false,
-            };
-          });
-          // resolve ~ alias to src directory
-          build.onResolve({ filter: /^~\// }, (args) => {
-            const subpath = args.path.replace("~", "src");
-            const basePath = path.join(appRoot, subpath);
-            const resolvedPath = resolveWithExtension(basePath);
-            return {
-              path: resolvedPath,
-              external: false,
-            };
-          });
-        },
-      },
-    ],
-  });
-
-  if (!clientBuild.success) {
-    console.error("[cumstack] Client build failed:");
-    for (const log of clientBuild.logs) console.error(`  ${log.level}: ${log.message}`);
-    throw new Error("Client build failed");
-  }
   // process CSS through PostCSS (tailwindcss)
   try {
     const postcss = await import("postcss");
@@ -192,3 +231,38 @@ export async function buildApp(appRoot, isDev = false, buildTimestamp = Date.now
   }
   console.log("[cumstack] Build complete!");
 }
+
+/**
+ * Load the route table of an app
+ * Bundles the server entry together with the framework router, so both share one copy of Route
+ */
+export async function loadRoutes(appRoot) {
+  const outDir = path.join(appRoot, "node_modules/.cache/cumstack");
+  const entryPath = path.join(outDir, "routes.entry.js");
+  await Bun.write(
+    entryPath,
+    `export { default } from ${JSON.stringify(path.join(appRoot, "src/entry.server.jsx"))};
+export { collectRoutes } from ${JSON.stringify(path.join(__dirname, "..", "src/app/shared/router.js"))};
+`,
+  );
+  const routesBuild = await Bun.build({
+    entrypoints: [entryPath],
+    outdir: outDir,
+    target: "bun",
+    format: "esm",
+    external: ["hono", "cloudflare:*"],
+    naming: "routes.js",
+    jsx: {
+      runtime: "automatic",
+      importSource: "hono/jsx",
+    },
+    plugins: [resolveCumstackPlugin(appRoot)],
+  });
+  if (!routesBuild.success) {
+    console.error("[cumstack] Route table build failed:");
+    for (const log of routesBuild.logs) console.error(`  ${log.level}: ${log.message}`);
+    throw new Error("Route table build failed");
+  }
+  const { default: app, collectRoutes } = await import(`${pathToFileURL(path.join(outDir, "routes.js")).href}?t=${Date.now()}`);
+  return collectRoutes(typeof app === "function" ? app() : app);
+}
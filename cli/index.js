@@ -9,6 +9,7 @@ const commands = {
   dev: "./dev.js",
   build: "./build.js",
   create: "./create.js",
+  routes: "./routes.js",
 };
 
 const colors = {
@@ -41,11 +42,13 @@ function printUsage(error) {
   ${colors.green}  dev${colors.reset}     → Start development server with HMR
   ${colors.green}  build${colors.reset}   → Build for production
   ${colors.green}  create${colors.reset}  → Create a new cumstack project
+  ${colors.green}  routes${colors.reset}  → List routes, --types writes typed href() helpers
 
   ${colors.cyan}Examples:${colors.reset}
   ${colors.green}  cum dev
   ${colors.green}  cum build
   ${colors.green}  cum create my-app
+  ${colors.green}  cum routes --types
   `);
 
   process.exit(error ? 1 : 0);
@@ -0,0 +1,71 @@
+/**
+ * cumstack Routes Command
+ * lists the route table, and with --types writes typed href() helpers for named routes
+ */
+import path from "path";
+import { loadRoutes } from "./builder.js";
+import { parsePattern } from "../src/app/shared/matcher.js";
+
+const appRoot = process.cwd();
+const TYPES_FILE = "src/routes.gen.js";
+
+/**
+ * JSDoc type of the params of a route pattern
+ */
+function paramsType(pattern) {
+  const fields = parsePattern(pattern)
+    .segments.filter((segment) => segment.type !== "static")
+    .map((segment) => {
+      const optional = segment.optional || segment.type === "splat" ? "?" : "";
+      return `${JSON.stringify(segment.name)}${optional}: string | number`;
+    });
+  return fields.length ? `{ ${fields.join(", ")} }` : "{}";
+}
+
+/**
+ * source of the generated module
+ */
+function typesModule(named) {
+  const entries = named.map((record) => ` *   ${JSON.stringify(record.name)}: ${paramsType(record.path)},`).join("\n");
+  return `// generated by \`cum routes --types\`, do not edit
+import { href as buildHref } from "cumstack";
+
+/**
+ * params of every named route
+ * @typedef {{
+${entries}
+ * }} RouteParams
+ */
+
+/**
+ * build the url of a named route for the active language
+ * @template {keyof RouteParams} N
+ * @param {N} name - Route name
+ * @param {RouteParams[N]} [params] - Route params
+ * @param {Record<string, string>} [query] - Query params
+ * @returns {string} Localized url
+ */
+export function href(name, params, query) {
+  return buildHref(name, params, query);
+}
+`;
+}
+
+export default async function routes() {
+  const records = await loadRoutes(appRoot);
+  const width = Math.max(0, ...records.map((record) => record.path.length));
+  console.log("[cumstack] Routes:");
+  for (const record of records) {
+    const keys = record.keys.length ? `(${record.keys.join(", ")})` : "";
+    console.log(`  ${record.path.padEnd(width)}  ${record.name ?? "-"}  ${keys}`.trimEnd());
+  }
+  if (!process.argv.includes("--types")) return;
+  const named = [];
+  for (const record of records) {
+    if (!record.name) continue;
+    if (named.some((other) => other.name === record.name)) console.warn(`[cumstack] Route name "${record.name}" is used more than once`);
+    else named.push(record);
+  }
+  await Bun.write(path.join(appRoot, TYPES_FILE), typesModule(named));
+  console.log(`[cumstack] Wrote ${TYPES_FILE}, import href from "~/routes.gen.js" for typed route names and params`);
+}
@@ -5,7 +5,7 @@ export { cowgirl, CowgirlCreampie, configureHydration } from './src/app/client/i
 export { Lust } from './src/app/client/Lust.js';
 
 // server exports
-export { foxgirl, FoxgirlCreampie, Router, Route, Head, Title, Meta, LustTag, Script, h, renderToString } from './src/app/server/index.js';
+export { foxgirl, FoxgirlCreampie, Router, Route, Outlet, useLoaderData, useNavigation, useSearchParams, lazy, Head, Title, Meta, LustTag, Script, h, renderToString } from './src/app/server/index.js';
 
 // shared exports
 export {
@@ -19,7 +19,43 @@ export {
   detectBrowserLanguage,
 } from './src/app/shared/i18n.js';
 
-export { createMoan, onClimax, knotMemo, loadShot, batch, untrack, useLocation } from './src/app/shared/reactivity.js';
+export {
+  createMoan,
+  onClimax,
+  knotMemo,
+  createSelector,
+  loadShot,
+  from,
+  toAsyncIterator,
+  batch,
+  untrack,
+  createRoot,
+  onCleanup,
+  getOwner,
+  runWithOwner,
+  catchError,
+  onError,
+  onReactiveError,
+  createContext,
+  useContext,
+  useLocation,
+} from './src/app/shared/reactivity.js';
+export { createStore, produce, unwrap } from './src/app/shared/store.js';
+export { createQuery, createMutation, invalidate } from './src/app/shared/query.js';
+export { href, buildPath, searchParsers } from './src/app/shared/router.js';
+export { getBasePath, withBase } from './src/app/shared/base.js';
+export { Suspense, ErrorBoundary } from './src/app/shared/boundaries.js';
+export { createPersistedMoan } from './src/app/shared/persisted.js';
+export {
+  createDebounced,
+  createThrottled,
+  createInterval,
+  createNow,
+  createMediaQuery,
+  createWindowSize,
+  createOnline,
+  createVisibility,
+} from './src/app/shared/primitives.js';
 
 // shared utilities
 export { env } from './src/app/shared/env.js';
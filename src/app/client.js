@@ -3,15 +3,21 @@
  * client-side rendering and hydration
  */
 
-import { render } from "./server/jsx.js";
-import { createRouter } from "./shared/router.js";
+import { render, h } from "./server/jsx.js";
+import { createRouter, collectRoutes, renderRoutes } from "./shared/router.js";
 import { initI18n, setLanguage, extractLanguageFromRoute } from "./shared/i18n.js";
-import { onClimax } from "./shared/reactivity.js";
+import { createRoot, knotMemo, onError } from "./shared/reactivity.js";
+import { readInitialData } from "./shared/transfer.js";
+import { setBasePath, stripBase } from "./shared/base.js";
+import { isBoundary, createBoundaryElement, mountBoundary, renderProvider } from "./shared/boundaries.js";
+
+export { Route, Outlet, useLoaderData, useNavigation, useSearchParams, lazy } from "./shared/router.js";
 
 let clientRouter = null;
 let i18nConfig = null;
-const registeredRoutes = new WeakMap();
 let isRouterInitialized = false;
+// route records for handlers registered directly with router.register
+const handlerRecords = new WeakMap();
 
 // hydration configuration
 const hydrationConfig = {
@@ -26,19 +32,12 @@ const eventDelegationRoot = typeof document !== "undefined" ? document : null;
 
 /**
  * get initial data from server
+ * keyed signal and resource state under `state` is revived by createMoan/loadShot
  * @returns {Object|null} Parsed initial data or null
  */
 function getInitialData() {
   if (typeof window === "undefined") return null;
-  const script = document.getElementById("cumstack-data");
-  if (script && script.textContent) {
-    try {
-      return JSON.parse(script.textContent);
-    } catch (e) {
-      console.error("Failed to parse initial data:", e);
-    }
-  }
-  return null;
+  return readInitialData();
 }
 
 /**
@@ -57,44 +56,46 @@ function initializeI18n(config) {
   if (typeof window !== "undefined") window.__HONMOON_I18N_CONFIG__ = config;
 }
 
+/**
+ * register the routes of an app tree with the client router
+ * registering a path again replaces its record, so trees can be registered more than once
+ * @param {any} tree - App tree or Route children
+ */
+function registerRoutes(tree) {
+  if (!clientRouter) clientRouter = createRouter();
+  for (const record of collectRoutes(tree)) clientRouter.register(record.path, record);
+}
+
+/**
+ * get the route record for a registered handler
+ * @param {string} pattern - Route pattern
+ * @param {Object|Function} handler - Route record, or a component registered directly
+ * @returns {Object} Route record
+ */
+function toRouteRecord(pattern, handler) {
+  if (typeof handler !== "function") return handler;
+  let record = handlerRecords.get(handler);
+  if (!record) {
+    record = { path: pattern, keys: [], component: handler, element: null };
+    record.chain = [record];
+    handlerRecords.set(handler, record);
+  }
+  return record;
+}
+
 /**
  * router component (client)
  * @param {Object} props - Component props
  * @param {Object} [props.i18nOpt] - i18n options
- * @param {*} props.children - Child elements
+ * @param {*} props.children - Route elements
  * @returns {*} Children
  */
 export function Router({ i18nOpt, children }) {
   if (i18nOpt && !i18nConfig) initializeI18n(i18nOpt);
+  registerRoutes(children);
   return children;
 }
 
-/**
- * route component (client)
- * @param {Object} props - Component props
- * @param {string} props.path - Route path
- * @param {Function} [props.component] - Component function
- * @param {*} [props.element] - Element to render
- * @param {*} [props.children] - Child elements
- * @returns {null}
- */
-export function Route({ path, component, element, children }) {
-  if (!clientRouter) clientRouter = createRouter();
-  const handler = () => {
-    if (component) return component();
-    if (element) return element;
-    return children;
-  };
-
-  // prevent duplicate registration
-  const routeKey = { path };
-  if (!registeredRoutes.has(routeKey)) {
-    clientRouter.register(path, handler);
-    registeredRoutes.set(routeKey, true);
-  }
-  return null;
-}
-
 /**
  * CowgirlCreampie component
  * @param {Object} props - Component props
@@ -172,6 +173,9 @@ function delegateEvent(eventName, element, handler) {
 function nodesMatch(vnode, domNode) {
   // text nodes
   if (typeof vnode === "string" || typeof vnode === "number") return domNode.nodeType === Node.TEXT_NODE;
+  // providers render no element, boundaries render a marked one
+  if (isBoundary(vnode) && vnode.boundary === "context") return true;
+  if (isBoundary(vnode)) return domNode.nodeType === Node.ELEMENT_NODE && domNode.getAttribute("data-cumstack-boundary") === vnode.boundary;
   // element nodes
   if (vnode.type && domNode.nodeType === Node.ELEMENT_NODE) {
     const tagMatch = domNode.tagName.toLowerCase() === vnode.type.toLowerCase();
@@ -228,6 +232,19 @@ function hydrateDOMElement(vnode, domNode) {
     }
     return fragment;
   }
+  // handle context providers
+  if (isBoundary(vnode) && vnode.boundary === "context") return renderProvider(vnode, (children) => hydrateDOMElement(children, domNode));
+  // handle Suspense, ErrorBoundary and route outlets - render the boundary into the element the server rendered for it
+  if (isBoundary(vnode)) {
+    if (nodesMatch(vnode, domNode)) {
+      mountBoundary(vnode, domNode, createDOMElementForHydration, hydrateDOMElement);
+      return domNode;
+    }
+    logHydrationWarning("Boundary mismatch, replacing");
+    const newElement = createBoundaryElement(vnode, createDOMElementForHydration);
+    domNode.parentNode?.replaceChild(newElement, domNode);
+    return newElement;
+  }
   // handle fragments or already rendered components
   if (!vnode.type) {
     // if it's an object without a type, it's likely already rendered - treat as children
@@ -393,6 +410,8 @@ function createDOMElementForHydration(vnode) {
     });
     return fragment;
   }
+  // handle Suspense, ErrorBoundary and context providers
+  if (isBoundary(vnode)) return createBoundaryElement(vnode, createDOMElementForHydration);
   // handle components (already rendered)
   if (!vnode.type) return createDOMElementForHydration(vnode);
   // create element
@@ -419,6 +438,19 @@ function createDOMElementForHydration(vnode) {
   return element;
 }
 
+/**
+ * replace the app with the error that stopped its first render
+ * @param {HTMLElement} containerEl - App container
+ * @param {Error} error - Render error
+ */
+function showRenderError(containerEl, error) {
+  console.error("cumstack render error:", error);
+  const message = document.createElement("div");
+  message.style.cssText = "color: red; padding: 20px;";
+  message.textContent = `Render Error: ${error?.message ?? error}`;
+  containerEl.replaceChildren(message);
+}
+
 /**
  * cowgirl - mount and hydrate app
  * @param {Function} app - App component function
@@ -429,41 +461,80 @@ export function cowgirl(app, container) {
   // validate container
   const containerEl = typeof container === "string" ? document.querySelector(container) : container;
   if (!containerEl || !(containerEl instanceof HTMLElement)) throw new Error("cumstack: Container must be a valid HTMLElement or selector");
-  if (!clientRouter) clientRouter = createRouter();
+  // collect the routes declared in the app tree
+  registerRoutes(app());
+  // cleanup functions
+  const cleanupFns = [];
   // initialize router only once
+  let ready = null;
   if (!isRouterInitialized) {
-    clientRouter.init();
+    // the server embeds the base path the app is mounted under
+    setBasePath(readInitialData()?.basePath);
+    // guards may cancel or redirect, so the language follows the path navigation ended on
+    const removeLanguageHook = clientRouter.afterEach((to) => {
+      if (!i18nConfig?.explicitRouting) return;
+      const { language } = extractLanguageFromRoute(to.path);
+      if (language) setLanguage(language);
+    });
+    const router = clientRouter.init();
+    ready = router.ready;
     isRouterInitialized = true;
+    // unmounting the app that initialized the router stops it, the next cowgirl() call initializes it again
+    cleanupFns.push(() => {
+      removeLanguageHook();
+      router.dispose();
+      isRouterInitialized = false;
+    });
   }
   // check if we're hydrating ssr content
   const isHydrating = containerEl.hasAttribute("data-cumstack-ssr") || containerEl.querySelector("[data-cumstack-ssr]") !== null;
-  // cleanup functions
-  const cleanupFns = [];
-  // track if first render (for hydration)
-  let isFirstRender = true;
-  // create effect with error boundary
-  const disposeEffect = onClimax(() => {
-    try {
-      const path = clientRouter.currentPath();
-      const match = clientRouter.matchRoute();
-      if (match) {
-        const content = match.handler({
-          path,
-          params: clientRouter.currentParams(),
-        });
-        if (isHydrating && isFirstRender && containerEl.firstChild) {
+  // render inside a root so page effects are disposed on navigation and unmount
+  const mount = () =>
+    createRoot((dispose) => {
+      // errors inside an ErrorBoundary never get here, only ones outside every boundary;
+      // a failing first render replaces the page, later errors are logged and the page stays
+      let mounted = false;
+      let renderError = null;
+      onError((error) => {
+        if (mounted) console.error("cumstack effect error:", error);
+        else renderError ??= error;
+      });
+      const currentMatch = knotMemo(() => {
+        // pages get the pathname like on the server, setSearch() and #hash links leave the view as it is
+        const path = clientRouter.currentPath().split(/[?#]/)[0];
+        const match = clientRouter.matchRoute();
+        if (!match) return null;
+        return { chain: toRouteRecord(match.pattern, match.handler).chain, params: match.params, path, data: match.data };
+      });
+      // each route level re-renders on its own, so layouts persist between their child routes
+      const content = h("div", { className: "app-root" }, renderRoutes(currentMatch));
+      try {
+        const appRoot = containerEl.querySelector(".app-root");
+        if (isHydrating && appRoot) {
           if (!hydrationConfig.isProduction) console.log("Hydrating existing content");
-          const appRoot = containerEl.querySelector(".app-root") || containerEl.firstChild;
           hydrateDOMElement(content, appRoot);
-          isFirstRender = false;
         } else render(content, containerEl);
+      } catch (error) {
+        renderError ??= error;
       }
-    } catch (error) {
-      console.error("cumstack render error:", error);
-      containerEl.innerHTML = `<div style="color: red; padding: 20px;">Render Error: ${error.message}</div>`;
-    }
-  });
-  cleanupFns.push(disposeEffect);
+      mounted = true;
+      if (renderError) showRenderError(containerEl, renderError);
+      return dispose;
+    });
+  // lazy route chunks and loader data of the current page load before hydrating, so the server html is
+  // matched and the route never renders without its data; without them the page can't render
+  if (ready) {
+    let disposed = false;
+    let disposeRoot = null;
+    ready.then(
+      () => !disposed && (disposeRoot = mount()),
+      (error) => !disposed && showRenderError(containerEl, error),
+    );
+    cleanupFns.push(() => {
+      disposed = true;
+      disposeRoot?.();
+    });
+  } else cleanupFns.push(mount());
   // handle navigation clicks
   const clickHandler = (e) => {
     const link = e.target.closest("a[href]");
@@ -474,13 +545,12 @@ export function cowgirl(app, container) {
     const isNoSpa = link.hasAttribute("data-no-spa");
     if (isNoSpa) return;
     const isInternal = href.startsWith("/") && !href.startsWith("//");
+    // links leaving the base path are other apps on the domain, the browser loads them
+    if (href.startsWith("/") && stripBase(href) === null) return;
     if (isInternal || isSpaLust) {
       e.preventDefault();
-      if (i18nConfig?.explicitRouting) {
-        const { language } = extractLanguageFromRoute(href);
-        if (language) setLanguage(language);
-      }
-      clientRouter.navigate(href);
+      const scroll = link.getAttribute("data-scroll") !== "false";
+      clientRouter.navigate(href, { scroll }).catch((error) => console.error("cumstack navigation error:", error));
     }
   };
   document.addEventListener("click", clickHandler);
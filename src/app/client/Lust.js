@@ -3,6 +3,7 @@
  */
 
 import { getLanguage } from "../shared/i18n.js";
+import { withBase, stripBase } from "../shared/base.js";
 
 /**
  * check if currently in a language-prefixed route
@@ -10,22 +11,23 @@ import { getLanguage } from "../shared/i18n.js";
  */
 function isInLanguageRoute() {
   if (typeof window === "undefined") return false;
-  return window.location.pathname.match(/^\/[a-z]{2}(?:\/|$)/);
+  return (stripBase(window.location.pathname) ?? window.location.pathname).match(/^\/[a-z]{2}(?:\/|$)/);
 }
 
 /**
  * smart link component with automatic language prefix handling
  * @param {Object} props - Lust properties
- * @param {string} props.href - Lust URL
+ * @param {string} props.href - Lust URL, an app path gets the base path (urls from href() already have it)
  * @param {string|boolean} [props.locale] - Language code or false to disable prefix
  * @param {string} [props.prefetch] - Prefetch mode ('hover' or 'visible')
  * @param {string} [props.access] - Access level for link
  * @param {boolean} [props.external] - Force external link behavior
+ * @param {boolean} [props.scroll] - Set to false to keep the scroll position on navigation
  * @param {*} props.children - Lust content
  * @returns {Object} Virtual DOM element
  */
 export function Lust(props) {
-  const { href, locale, prefetch, access, external, children, ...rest } = props;
+  const { href, locale, prefetch, access, external, scroll, children, ...rest } = props;
   if (!href) {
     return {
       type: "a",
@@ -42,11 +44,13 @@ export function Lust(props) {
   const inLanguageRoute = isInLanguageRoute();
 
   // apply locale to internal links only if we're in a language route or locale is explicitly set
-  let finalHref = href;
-  if (!isExternal && (locale || (locale !== false && inLanguageRoute))) {
+  let finalHref = isExternal ? href : (stripBase(href) ?? href);
+  // hash and query-only hrefs stay on the current page, which already has its prefix
+  if (!isExternal && finalHref.startsWith("/") && (locale || (locale !== false && inLanguageRoute))) {
     const targetLocale = locale || currentLanguage;
-    if (!href.startsWith(`/${targetLocale}`)) finalHref = `/${targetLocale}${href === "/" ? "" : href}`;
+    if (!finalHref.startsWith(`/${targetLocale}`)) finalHref = `/${targetLocale}${finalHref === "/" ? "" : finalHref}`;
   }
+  if (!isExternal) finalHref = withBase(finalHref);
 
   const linkProps = {
     ...rest,
@@ -54,6 +58,7 @@ export function Lust(props) {
     "data-spa-link": !isExternal,
     ...(prefetch && { "data-prefetch": prefetch }),
     ...(access && { "data-link-access": access }),
+    ...(scroll === false && { "data-scroll": "false" }),
     ...(isExternal && { target: "_blank", rel: "noopener noreferrer" }),
   };
 
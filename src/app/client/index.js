@@ -6,6 +6,8 @@
 import { setLanguage, detectBrowserLanguage, clearPreferredLanguage, getUserLanguage } from "../shared/i18n.js";
 import { initComponents } from "./components.js";
 import { initHMR } from "./hmr.js";
+import { readInitialData } from "../shared/transfer.js";
+import { setBasePath, withBase, stripBase } from "../shared/base.js";
 
 export { Lust } from "./Lust.js";
 export { Image } from "./Image.js";
@@ -33,7 +35,9 @@ export function CowgirlCreampie({ children }) {
 export function cowgirl(app, container) {
   initHMR();
   if (typeof window !== "undefined") window.initComponents = initComponents;
-  const pathSegments = window.location.pathname.split("/").filter(Boolean);
+  // the server embeds the base path the app is mounted under
+  setBasePath(readInitialData()?.basePath);
+  const pathSegments = appPath(window.location.pathname).split("/").filter(Boolean);
   let language = "en";
   let isExplicitRoute = false;
 
@@ -103,6 +107,15 @@ function renderElement(vnode, container) {
   container.appendChild(element);
 }
 
+/**
+ * app path of a url path, without the base path
+ * @param {string} path - Url path
+ * @returns {string} App path
+ */
+function appPath(path) {
+  return stripBase(path) ?? path;
+}
+
 /**
  * setup SPA navigation with language route handling
  * @returns {void}
@@ -110,14 +123,15 @@ function renderElement(vnode, container) {
 function setupNavigation() {
   // update all spa links to include language prefix if in a language route
   function updateLustsForLanguage() {
-    const inLanguageRoute = window.location.pathname.match(/^\/([a-z]{2})(?:\/|$)/);
+    const inLanguageRoute = appPath(window.location.pathname).match(/^\/([a-z]{2})(?:\/|$)/);
     if (!inLanguageRoute) return;
     const lang = inLanguageRoute[1];
     document.querySelectorAll("a[data-spa-link]").forEach((link) => {
       const href = link.getAttribute("href");
       if (!href || href.startsWith("http") || href.startsWith("//")) return;
       // if href doesn't already have language prefix, add it
-      if (!href.match(/^\/[a-z]{2}(?:\/|$)/)) link.setAttribute("href", `/${lang}${href === "/" ? "" : href}`);
+      const path = appPath(href);
+      if (!path.match(/^\/[a-z]{2}(?:\/|$)/)) link.setAttribute("href", withBase(`/${lang}${path === "/" ? "" : path}`));
     });
   }
 
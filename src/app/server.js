@@ -7,6 +7,13 @@ import { Hono } from "hono";
 import { renderToString } from "./server/jsx.js";
 import { h } from "./server/jsx.js";
 import { initI18n, setLanguage, extractLanguageFromRoute } from "./shared/i18n.js";
+import { createTransferState, runWithTransfer, waitForTransfer, serializeTransfer } from "./shared/transfer.js";
+import { collectRoutes, renderRoutes, runLoaders, preloadRoute, getRouteChunks } from "./shared/router.js";
+import { createMatcher } from "./shared/matcher.js";
+import { setBasePath, getBasePath, withBase, stripBase } from "./shared/base.js";
+import { createBaseAssetsMiddleware } from "./server/hono-utils.js";
+
+export { Route, Outlet, useLoaderData, useNavigation, useSearchParams, lazy } from "./shared/router.js";
 
 /**
  * escape html to prevent xss
@@ -24,6 +31,7 @@ function escapeHtml(str) {
 function createServerContext() {
   return {
     routeRegistry: new Map(),
+    routeMatcher: createMatcher(),
     i18nConfig: null,
     initialized: false,
   };
@@ -43,7 +51,7 @@ function detectLanguageFromRequest(request, config) {
 
   // check url path first if explicit routing
   if (config.explicitRouting) {
-    const { language } = extractLanguageFromRoute(url.pathname);
+    const { language } = extractLanguageFromRoute(stripBase(url.pathname) ?? url.pathname);
     if (language) return language;
   }
 
@@ -63,11 +71,24 @@ function detectLanguageFromRequest(request, config) {
   return config.defaultLng === "auto" ? config.fallbackLng : config.defaultLng;
 }
 
+/**
+ * register the routes of an app tree
+ * only the first record for a path is kept to prevent duplicates
+ * @param {any} tree - App tree or Route children
+ */
+function registerRoutes(tree) {
+  for (const record of collectRoutes(tree)) {
+    if (serverContext.routeRegistry.has(record.path)) continue;
+    serverContext.routeRegistry.set(record.path, record);
+    serverContext.routeMatcher.add(record.path, record);
+  }
+}
+
 /**
  * router component (server)
  * @param {Object} props - Component props
  * @param {Object} [props.i18nOpt] - i18n configuration
- * @param {*} props.children - Child elements
+ * @param {*} props.children - Route elements
  * @returns {*} Children
  */
 export function Router({ i18nOpt, children }) {
@@ -82,29 +103,10 @@ export function Router({ i18nOpt, children }) {
       serverContext.initialized = true;
     }
   }
+  registerRoutes(children);
   return children;
 }
 
-/**
- * route component (server)
- * @param {Object} props - Component props
- * @param {string} props.path - Route path
- * @param {Function} [props.component] - Component function
- * @param {*} [props.element] - Element to render
- * @param {*} [props.children] - Child elements
- * @returns {null}
- */
-export function Route({ path, component, element, children }) {
-  // register route during server initialization
-  // only register if not already registered to prevent duplicates
-  if (!serverContext.routeRegistry.has(path)) {
-    if (component) serverContext.routeRegistry.set(path, component);
-    else if (element) serverContext.routeRegistry.set(path, () => element);
-    else if (children) serverContext.routeRegistry.set(path, () => children);
-  }
-  return null;
-}
-
 /**
  * FoxgirlCreampie component
  * @param {Object} props - Component props
@@ -125,13 +127,25 @@ export function FoxgirlCreampie({ children }) {
  * @param {Array<string>} [props.scripts] - Additional scripts
  * @param {Array<string>} [props.styles] - Additional stylesheets
  * @param {string} [props.appName] - Application name
+ * @param {Object} [props.transfer] - Transfer state with keyed signals and resources
+ * @param {Array<string>} [props.preload] - Chunks of lazy routes to preload
  * @returns {Object} JSX element
  */
-function Document({ content, language, theme = "dark", scripts = [], styles = [], appName = "cumstack App" }) {
+function Document({
+  content,
+  language,
+  theme = "dark",
+  scripts = [],
+  styles = [],
+  appName = "cumstack App",
+  transfer = null,
+  preload = [],
+}) {
   // sanitize data for json embedding to prevent xss
   const sanitizedData = {
     language: escapeHtml(language),
     theme: escapeHtml(theme),
+    basePath: escapeHtml(getBasePath()),
   };
 
   return h(
@@ -145,6 +159,7 @@ function Document({ content, language, theme = "dark", scripts = [], styles = []
         name: "viewport",
         content: "width=device-width, initial-scale=1",
       }),
+      ...preload.map((href) => h("link", { rel: "modulepreload", href })),
     ),
     h(
       "body",
@@ -153,70 +168,30 @@ function Document({ content, language, theme = "dark", scripts = [], styles = []
       h("script", {
         id: "cumstack-data",
         type: "application/json",
-        innerHTML: JSON.stringify(sanitizedData),
+        innerHTML: serializeTransfer(transfer, sanitizedData),
       }),
-      h("script", { type: "module", src: "/main.client.js" }),
+      h("script", { type: "module", src: withBase("/main.client.js") }),
       ...scripts.map((src) => h("script", { type: "module", src })),
     ),
   );
 }
 
 /**
- * match and render route
- * @param {string} pathname - URL pathname
- * @param {string} language - Language code
- * @returns {Object|null} Rendered component and extracted params
+ * match a request path against the registered routes
+ * @param {string} pathname - App path, without the base path
+ * @returns {{ chain: Array<Object>, params: Record<string, string>, path: string }|null} Route match, or null for a 404
  */
-function matchAndRenderRoute(pathname, language) {
+function matchPageRoute(pathname) {
   // remove language prefix if present
   let cleanPath = pathname;
   if (serverContext.i18nConfig?.explicitRouting) {
     const { path } = extractLanguageFromRoute(pathname);
     cleanPath = path || "/";
   }
-
-  // try exact match first
-  if (serverContext.routeRegistry.has(cleanPath)) {
-    const component = serverContext.routeRegistry.get(cleanPath);
-    return {
-      content: component ? component({ params: {} }) : null,
-      params: {},
-    };
-  }
-
-  // try wildcard match with param extraction
-  for (const [pattern, component] of serverContext.routeRegistry.entries()) {
-    if (pattern.includes(":") || pattern === "*") {
-      // extract parameter names
-      const paramNames = [];
-      const regexPattern = pattern
-        .replace(/:(\w+)/g, (_, name) => {
-          paramNames.push(name);
-          return "([^/]+)";
-        })
-        .replace("*", "(.*)");
-      const regex = new RegExp("^" + regexPattern + "$");
-      const match = cleanPath.match(regex);
-      if (match) {
-        // extract params
-        const params = {};
-        paramNames.forEach((name, i) => (params[name] = match[i + 1]));
-        return { content: component ? component({ params }) : null, params };
-      }
-    }
-  }
-
-  // 404
-  return {
-    content: h(
-      "div",
-      { className: "page not-found" },
-      h("h1", {}, "404 - Not Found"),
-      h("p", {}, "The page you are looking for does not exist"),
-      h("a", { href: "/" }, "Go Home"),
-    ),
-    params: {},
-  };
+  const match = serverContext.routeMatcher.match(cleanPath);
+  if (!match) return null;
+  // components get the full app path, like in the other renderers
+  return { chain: match.value.chain, params: match.params, path: pathname };
 }
 
 /**
@@ -229,13 +204,19 @@ function matchAndRenderRoute(pathname, language) {
  * @param {string} [options.theme] - Default theme
  * @param {Array<string>} [options.scripts] - Additional scripts
  * @param {Array<string>} [options.styles] - Additional stylesheets
+ * @param {string} [options.basePath] - Sub-path the app is mounted under, like "/app"; custom routes are registered under it too,
+ * and client assets are served under it through the ASSETS binding
  * @returns {Function} Hono fetch handler
  */
 export function foxgirl(app, options = {}) {
   serverContext = createServerContext();
-  const honoApp = new Hono();
+  setBasePath(options.basePath);
+  const honoApp = getBasePath() ? new Hono().basePath(getBasePath()) : new Hono();
+  // client bundles and styles are requested under the base path too
+  if (getBasePath()) honoApp.use("*", createBaseAssetsMiddleware());
   const { appName = "cumstack App", theme = "dark", scripts = [], styles = [] } = options;
-  app();
+  // Router registers the routes it receives; lazy JSX trees are walked for them
+  registerRoutes(app());
   // middleware: set request context (avoid global pollution)
   honoApp.use("*", async (c, next) => {
     // store env in request context instead of global
@@ -259,75 +240,81 @@ export function foxgirl(app, options = {}) {
     c.set("language", language);
     await next();
   });
-  // register all routes with hono
-  const registeredPatterns = new Set();
-  for (const [path, component] of serverContext.routeRegistry.entries()) {
-    // handle both explicit language routes and base routes
-    const patterns = [];
-    if (serverContext.i18nConfig?.explicitRouting) {
-      serverContext.i18nConfig.supportedLanguages.forEach((lang) => {
-        patterns.push(`/${lang}${path === "/" ? "" : path}`);
-        if (path === "/") patterns.push(`/${lang}`);
-      });
-    }
-    patterns.push(path);
-    patterns.forEach((pattern) => {
-      if (!registeredPatterns.has(pattern)) {
-        registeredPatterns.add(pattern);
-        honoApp.get(pattern, async (c) => {
-          try {
-            const language = c.get("language");
-            const url = new URL(c.req.url);
-            const { content, params } = matchAndRenderRoute(url.pathname, language);
-            const appContent = h("div", { className: "app-root" }, content);
-            const html = renderToString(
-              Document({
-                title: appName,
-                content: renderToString(appContent),
-                language,
-                theme,
-                scripts,
-                styles,
-                appName,
-              }),
-            );
-            const response = c.html("<!DOCTYPE html>" + html);
-            response.headers.set("Cache-Control", "public, max-age=0, must-revalidate");
-            return response;
-          } catch (error) {
-            console.error(`Route error [${c.req.method} ${c.req.url}]:`, error);
-            const errorHtml = `
-              <!DOCTYPE html>
-              <html>
-                <head><title>500 - Server Error</title></head>
-                <body>
-                  <h1>Internal Server Error</h1>
-                  <p>An error occurred while processing your request.</p>
-                  ${c.get("environment") !== "production" ? `<pre>${escapeHtml(error.stack)}</pre>` : ""}
-                </body>
-              </html>
-            `;
-            return c.html(errorHtml, 500);
-          }
-        });
-      }
-    });
-  }
   if (options.routes && typeof options.routes === "function") options.routes(honoApp);
+  // pages are matched by the shared route matcher after the custom routes
+  honoApp.get("*", async (c) => {
+    const pathname = stripBase(new URL(c.req.url).pathname);
+    const match = pathname === null ? null : matchPageRoute(pathname);
+    if (!match) return c.notFound();
+    try {
+      const language = c.get("language");
+      // keyed signals and resources register with the transfer state while rendering;
+      // when resources are pending, wait for them and render again with their data
+      const transfer = createTransferState(c.req.raw);
+      // loaders and lazy components load before rendering, loader data is embedded for the client router
+      const [data] = await Promise.all([runLoaders(match.chain, match.params, c.req.raw), preloadRoute(match.chain)]);
+      if (match.chain.some((record) => record.loader)) {
+        match.data = data;
+        transfer.loaderData = data;
+      }
+      const renderPage = () =>
+        runWithTransfer(transfer, () =>
+          renderToString(
+            h(
+              "div",
+              { className: "app-root" },
+              renderRoutes(() => match),
+            ),
+          ),
+        );
+      let content = await renderPage();
+      if (await waitForTransfer(transfer)) content = await renderPage();
+      const html = await renderToString(
+        Document({
+          title: appName,
+          content,
+          language,
+          theme,
+          scripts,
+          styles,
+          appName,
+          transfer,
+          preload: getRouteChunks(match.chain),
+        }),
+      );
+      const response = c.html("<!DOCTYPE html>" + html);
+      response.headers.set("Cache-Control", "public, max-age=0, must-revalidate");
+      return response;
+    } catch (error) {
+      console.error(`Route error [${c.req.method} ${c.req.url}]:`, error);
+      const errorHtml = `
+        <!DOCTYPE html>
+        <html>
+          <head><title>500 - Server Error</title></head>
+          <body>
+            <h1>Internal Server Error</h1>
+            <p>An error occurred while processing your request.</p>
+            ${c.get("environment") !== "production" ? `<pre>${escapeHtml(error.stack)}</pre>` : ""}
+          </body>
+        </html>
+      `;
+      return c.html(errorHtml, 500);
+    }
+  });
   // 404 handler
-  honoApp.notFound((c) => {
+  honoApp.notFound(async (c) => {
     const language = c.get("language") || "en";
     const notFoundContent = h(
       "div",
       { className: "page not-found" },
       h("h1", {}, "404 - Not Found"),
       h("p", {}, "The page you are looking for does not exist"),
-      h("a", { href: "/" }, "Go Home"),
+      h("a", { href: withBase("/") }, "Go Home"),
     );
-    const html = renderToString(
+    const html = await renderToString(
       Document({
         title: "404 - Not Found",
-        content: renderToString(notFoundContent),
+        content: await renderToString(notFoundContent),
         language,
         theme,
         appName,
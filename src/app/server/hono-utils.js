@@ -3,6 +3,8 @@
  * helper functions for working with hono
  */
 
+import { stripBase } from "../shared/base.js";
+
 /**
  * create a middleware for i18n detection
  * @param {Object} config - i18n configuration
@@ -19,7 +21,8 @@ export function createI18nMiddleware(config) {
 
     // check url path first if explicit routing
     if (config.explicitRouting) {
-      const pathSegments = url.pathname.split("/").filter(Boolean);
+      // the language segment follows the base path of an app mounted under a sub-path
+      const pathSegments = (stripBase(url.pathname) ?? url.pathname).split("/").filter(Boolean);
       if (pathSegments.length > 0 && config.supportedLanguages.includes(pathSegments[0])) language = pathSegments[0];
     }
 
@@ -86,6 +89,24 @@ export function createCorsMiddleware(options = {}) {
   };
 }
 
+/**
+ * create a middleware serving the static assets of an app mounted under a sub-path
+ * the build writes the assets to the root of the assets directory, which is served at "/"; file requests under
+ * the base path are fetched from it without the prefix, through the assets binding (`binding = "ASSETS"` under [assets])
+ * @returns {Function} Hono middleware function
+ */
+export function createBaseAssetsMiddleware() {
+  return async (c, next) => {
+    const url = new URL(c.req.url);
+    const path = stripBase(url.pathname);
+    // pages have no file extension, they go on to the routes
+    if (!c.env?.ASSETS || !path || !/\.\w+$/.test(path) || !["GET", "HEAD"].includes(c.req.method)) return next();
+    const response = await c.env.ASSETS.fetch(new Request(new URL(path + url.search, url), c.req.raw));
+    if (response.status === 404) return next();
+    return response;
+  };
+}
+
 /**
  * create a middleware for security headers
  * @returns {Function} Hono middleware function that adds security headers
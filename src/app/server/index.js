@@ -5,9 +5,18 @@
 
 import { Hono } from "hono";
 import { setLanguage, extractLanguageFromRoute } from "../shared/i18n.js";
+import { setBasePath, getBasePath, withBase, stripBase } from "../shared/base.js";
+import { createBaseAssetsMiddleware } from "./hono-utils.js";
 import { raw } from "hono/html";
+import { createTransferState, runWithTransfer, waitForTransfer, serializeTransfer } from "../shared/transfer.js";
+import { isBoundary, renderBoundaryToString } from "../shared/boundaries.js";
+import { collectRoutes, renderRoutes, runLoaders, preloadRoute, getRouteChunks } from "../shared/router.js";
+import { createMatcher } from "../shared/matcher.js";
+
+export { Route, Outlet, useLoaderData, useNavigation, useSearchParams, lazy } from "../shared/router.js";
 
 const routeRegistry = new Map();
+const routeMatcher = createMatcher();
 let globalI18nConfig = null;
 let honoApp = null;
 
@@ -36,6 +45,9 @@ export async function renderToString(vnode) {
     return results.join("");
   }
 
+  // Suspense, ErrorBoundary and context providers
+  if (isBoundary(vnode)) return await renderBoundaryToString(vnode, renderToString);
+
   // For plain objects from cumstack components (like Lust)
   if (vnode && typeof vnode === "object" && vnode.type && vnode.props !== undefined && !vnode.toStringToBuffer) {
     const { type, props, children } = vnode;
@@ -157,29 +169,17 @@ export async function renderToString(vnode) {
 
 /**
  *  router component
+ *  registers the route tree of its children (nested routes included)
  */
 export function Router({ children, i18nOpt }) {
   if (i18nOpt) globalI18nConfig = i18nOpt;
-
-  // extract routes from children
-  if (Array.isArray(children)) {
-    children.forEach((child) => {
-      if (child && child.type === Route && child.props) routeRegistry.set(child.props.path, child.props.component);
-    });
-  } else if (children && children.type === Route && children.props) {
-    routeRegistry.set(children.props.path, children.props.component);
+  for (const record of collectRoutes(children)) {
+    routeRegistry.set(record.path, record);
+    routeMatcher.add(record.path, record);
   }
   return children;
 }
 
-/**
- *  route component
- */
-export function Route({ path, component }) {
-  if (component) routeRegistry.set(path, component);
-  return null;
-}
-
 /**
  *  FoxgirlCreampie component
  */
@@ -310,7 +310,7 @@ export function setDocumentBody(bodyFn) {
   customBody = bodyFn;
 }
 
-async function Document({ content, language }) {
+async function Document({ content, language, transfer = null }) {
   // render custom head or use default
   let headHtml;
   if (customHead) {
@@ -340,7 +340,7 @@ async function Document({ content, language }) {
     <meta name="viewport" content="width=device-width, initial-scale=1" />
     ${metaTags}
     <title>${headContext.title}</title>
-    <link rel="stylesheet" href="/main.css" />
+    <link rel="stylesheet" href="${withBase("/main.css")}" />
     ${linkTags}`;
   }
 
@@ -377,7 +377,8 @@ async function Document({ content, language }) {
     window.__HMR_PORT__ = ${globalThis.__HMR_PORT__ || 8790};
     window.__BUILD_TIMESTAMP__ = ${globalThis.__BUILD_TIMESTAMP__ || Date.now()};
   </script>
-    <script type="module" src="/main.client.js"></script>
+    <script id="cumstack-data" type="application/json">${serializeTransfer(transfer, { language, basePath: getBasePath() })}</script>
+    <script type="module" src="${withBase("/main.client.js")}"></script>
     ${scriptTags}
 </html>`;
 }
@@ -389,7 +390,7 @@ function detectLanguageFromRequest(request, config) {
   const url = new URL(request.url);
   // check url path first if explicit routing
   if (config.explicitRouting) {
-    const pathSegments = url.pathname.split("/").filter(Boolean);
+    const pathSegments = (stripBase(url.pathname) ?? url.pathname).split("/").filter(Boolean);
     // check if first segment is a language code
     if (pathSegments.length > 0 && config.supportedLanguages?.includes(pathSegments[0])) {
       return pathSegments[0];
@@ -419,7 +420,11 @@ function detectLanguageFromRequest(request, config) {
  *  create server handler with hono
  */
 export async function foxgirl(app, options = {}) {
-  honoApp = new Hono();
+  // an app mounted under a sub-path registers every route, custom ones included, under it
+  setBasePath(options.basePath);
+  honoApp = getBasePath() ? new Hono().basePath(getBasePath()) : new Hono();
+  // client bundles and styles are requested under the base path too
+  if (getBasePath()) honoApp.use("*", createBaseAssetsMiddleware());
   // call app to execute router and extract routes
   const appStructure = app();
   // process the structure to extract routes
@@ -462,70 +467,79 @@ export async function foxgirl(app, options = {}) {
     await next();
   });
 
-  // register jsx routes
-  for (const [path, component] of routeRegistry.entries()) {
-    const patterns = [];
-    if (globalI18nConfig?.explicitRouting) {
-      globalI18nConfig.supportedLanguages.forEach((lang) => {
-        patterns.push(`/${lang}${path === "/" ? "" : path}`);
-        if (path === "/") patterns.push(`/${lang}`);
-      });
-    }
-    patterns.push(path);
-    patterns.forEach((pattern) => {
-      honoApp.get(pattern, async (c) => {
-        try {
-          resetHeadContext();
-          const language = c.get("language");
-          setLanguage(language);
-          const pageContent = component();
-          // convert pageContent to string first before passing to Document
-          const contentHtml = await renderToString(pageContent);
-          const html = await Document({ content: contentHtml, language });
-          // Set cache headers if configured
-          const headers = { "Content-Type": "text/html; charset=utf-8" };
-          const isDev = globalThis.__ENVIRONMENT__ === "development";
-
-          // Always set cache control headers
-          if (isDev) headers["Cache-Control"] = "no-cache, no-store, must-revalidate";
-          else if (headContext.cache) {
-            const {
-              app = 0,
-              cdn = null,
-              staleWhileRevalidate = null,
-              staleIfError = null,
-              tags = null,
-              mustRevalidate = false,
-            } = headContext.cache;
-
-            const directives = [];
-            if (app === 0 && cdn === null) directives.push("no-cache", "no-store", "must-revalidate");
-            else {
-              // If CDN cache is set, make it public; otherwise private
-              const isPublic = cdn !== null;
-              directives.push(isPublic ? "public" : "private");
-              if (app > 0) directives.push(`max-age=${app}`);
-              if (cdn !== null) directives.push(`s-maxage=${cdn}`);
-              if (staleWhileRevalidate !== null) directives.push(`stale-while-revalidate=${staleWhileRevalidate}`);
-              if (staleIfError !== null) directives.push(`stale-if-error=${staleIfError}`);
-              if (mustRevalidate) directives.push("must-revalidate");
-            }
-            headers["Cache-Control"] = directives.join(", ");
-            // cloudflare-specific: Cache tags for purging
-            if (tags && Array.isArray(tags)) headers["Cache-Tag"] = tags.join(",");
-            // add vary header for i18n if using explicit routing
-            if (globalI18nConfig?.explicitRouting) headers["Vary"] = "Accept-Language";
-          } else headers["Cache-Control"] = "private, no-cache";
-          return new Response(html, { headers });
-        } catch (error) {
-          console.error("Route error:", error);
-          return c.text("Internal Server Error", 500);
-        }
-      });
-    });
-  }
   // custom api routes
   if (options.routes) options.routes(honoApp);
+  // jsx routes, matched by the shared route matcher after the custom routes
+  honoApp.get("*", async (c) => {
+    const pathname = stripBase(new URL(c.req.url).pathname);
+    if (pathname === null) return c.notFound();
+    // remove language prefix if present
+    const cleanPath = globalI18nConfig?.explicitRouting ? extractLanguageFromRoute(pathname).path || "/" : pathname;
+    const route = routeMatcher.match(cleanPath);
+    if (!route) return c.notFound();
+    try {
+      resetHeadContext();
+      const language = c.get("language");
+      setLanguage(language);
+      // keyed signals and resources register with the transfer state while rendering;
+      // when resources are pending, wait for them and render again with their data
+      const transfer = createTransferState(c.req.raw);
+      const match = { chain: route.value.chain, params: route.params, path: pathname };
+      // loaders and lazy components load before rendering, loader data is embedded for the client router
+      const [data] = await Promise.all([runLoaders(match.chain, match.params, c.req.raw), preloadRoute(match.chain)]);
+      if (match.chain.some((record) => record.loader)) {
+        match.data = data;
+        transfer.loaderData = data;
+      }
+      const renderPage = () => runWithTransfer(transfer, () => renderToString(renderRoutes(() => match)));
+      let contentHtml = await renderPage();
+      if (await waitForTransfer(transfer)) {
+        resetHeadContext();
+        contentHtml = await renderPage();
+      }
+      // the client loads the chunks of lazy routes before hydrating, fetch them next to the main bundle
+      for (const href of getRouteChunks(match.chain)) headContext.links.push({ rel: "modulepreload", href });
+      const html = await Document({ content: contentHtml, language, transfer });
+      // Set cache headers if configured
+      const headers = { "Content-Type": "text/html; charset=utf-8" };
+      const isDev = globalThis.__ENVIRONMENT__ === "development";
+
+      // Always set cache control headers
+      if (isDev) headers["Cache-Control"] = "no-cache, no-store, must-revalidate";
+      else if (headContext.cache) {
+        const {
+          app = 0,
+          cdn = null,
+          staleWhileRevalidate = null,
+          staleIfError = null,
+          tags = null,
+          mustRevalidate = false,
+        } = headContext.cache;
+
+        const directives = [];
+        if (app === 0 && cdn === null) directives.push("no-cache", "no-store", "must-revalidate");
+        else {
+          // If CDN cache is set, make it public; otherwise private
+          const isPublic = cdn !== null;
+          directives.push(isPublic ? "public" : "private");
+          if (app > 0) directives.push(`max-age=${app}`);
+          if (cdn !== null) directives.push(`s-maxage=${cdn}`);
+          if (staleWhileRevalidate !== null) directives.push(`stale-while-revalidate=${staleWhileRevalidate}`);
+          if (staleIfError !== null) directives.push(`stale-if-error=${staleIfError}`);
+          if (mustRevalidate) directives.push("must-revalidate");
+        }
+        headers["Cache-Control"] = directives.join(", ");
+        // cloudflare-specific: Cache tags for purging
+        if (tags && Array.isArray(tags)) headers["Cache-Tag"] = tags.join(",");
+        // add vary header for i18n if using explicit routing
+        if (globalI18nConfig?.explicitRouting) headers["Vary"] = "Accept-Language";
+      } else headers["Cache-Control"] = "private, no-cache";
+      return new Response(html, { headers });
+    } catch (error) {
+      console.error("Route error:", error);
+      return c.text("Internal Server Error", 500);
+    }
+  });
   // 404 handler
   honoApp.notFound(async (c) => {
     const html = await Document({
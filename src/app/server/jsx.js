@@ -3,6 +3,8 @@
  * helper functions for jsx rendering and dom manipulation
  */
 
+import { isBoundary, createBoundaryElement, renderBoundaryToString } from "../shared/boundaries.js";
+
 /**
  * create an element
  * @param {string|Function} type - Element type or component
@@ -58,6 +60,8 @@ function createDOMElement(vnode) {
     });
     return fragment;
   }
+  // handle Suspense, ErrorBoundary, context providers and route outlets
+  if (isBoundary(vnode)) return createBoundaryElement(vnode, createDOMElement);
   // handle components (already rendered)
   if (!vnode.type) return createDOMElement(vnode);
   // create element
@@ -81,24 +85,28 @@ function createDOMElement(vnode) {
 
 /**
  * render to string (server-side)
+ * Suspense, ErrorBoundary, context providers and route outlets go through the shared boundary
+ * renderer, so suspense waits for its resources and the html carries the boundary elements the client hydrates
  * @param {any} vnode - Virtual node
- * @returns {string}
+ * @returns {Promise<string>}
  */
-export function renderToString(vnode) {
+export async function renderToString(vnode) {
   // handle null/undefined
   if (vnode == null || vnode === false) return "";
   // handle text nodes
   if (typeof vnode === "string" || typeof vnode === "number") return escapeHtml(String(vnode));
   // handle arrays
-  if (Array.isArray(vnode)) return vnode.map(renderToString).join("");
+  if (Array.isArray(vnode)) return (await Promise.all(vnode.map(renderToString))).join("");
+  // handle Suspense, ErrorBoundary, context providers and route outlets
+  if (isBoundary(vnode)) return await renderBoundaryToString(vnode, renderToString);
   // handle components (already rendered) - but prevent infinite recursion
   if (!vnode.type) {
     // if it's an object without type, try to extract meaningful content
     if (typeof vnode === "object") {
       // check for children property
-      if (vnode.children !== undefined) return renderToString(vnode.children);
+      if (vnode.children !== undefined) return await renderToString(vnode.children);
       // check for props.children
-      if (vnode.props?.children !== undefined) return renderToString(vnode.props.children);
+      if (vnode.props?.children !== undefined) return await renderToString(vnode.props.children);
       // unknown structure - return empty
       console.warn("renderToString: Unknown vnode structure", vnode);
       return "";
@@ -107,8 +115,11 @@ export function renderToString(vnode) {
   }
   // self-closing tags
   const selfClosing = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"];
+  // raw html content is rendered as children, not as an attribute
+  const { innerHTML, dangerouslySetInnerHTML, ...props } = vnode.props || {};
+  const rawHtml = dangerouslySetInnerHTML?.__html ?? innerHTML;
   // build attributes
-  const attrs = Object.entries(vnode.props || {})
+  const attrs = Object.entries(props)
     .filter(([key, value]) => !key.startsWith("on") && value != null && value !== false)
     .map(([key, value]) => {
       const attrName = key === "className" ? "class" : key;
@@ -123,7 +134,7 @@ export function renderToString(vnode) {
     .join(" ");
   const openTag = attrs ? `<${vnode.type} ${attrs}>` : `<${vnode.type}>`;
   if (selfClosing.includes(vnode.type)) return openTag.replace(">", " />");
-  const children = (vnode.children || []).map(renderToString).join("");
+  const children = rawHtml != null ? String(rawHtml) : await renderToString(vnode.children || []);
   return `${openTag}${children}</${vnode.type}>`;
 }
 
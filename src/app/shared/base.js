@@ -0,0 +1,60 @@
+/**
+ * cumstack Base Path
+ * prefix of an app mounted under a sub-path, like "/app" for an app served at example.com/app/
+ *
+ * routes, loaders and guards see app paths ("/about"); the prefix is added where a path becomes a url
+ * (history entries, links, asset urls) and removed where a url becomes a path (requests, clicks, popstate)
+ */
+
+let basePath = "";
+
+/**
+ * set the base path
+ * foxgirl sets it from its options and embeds it in the page, cowgirl reads it from there
+ * @param {string} [path] - Base path, "" or "/" for an app at the root
+ */
+export function setBasePath(path = "") {
+  const trimmed = String(path).replace(/^\/+|\/+$/g, "");
+  basePath = trimmed ? `/${trimmed}` : "";
+}
+
+/**
+ * get the base path
+ * @returns {string} Base path without a trailing slash, "" at the root
+ */
+export function getBasePath() {
+  return basePath;
+}
+
+/**
+ * turn an app path into a url path
+ * relative paths, protocol-relative and absolute urls are returned as they are
+ * @param {string} path - App path
+ * @returns {string} Url path
+ * @example
+ * setBasePath("/app");
+ * withBase("/about"); // "/app/about"
+ * withBase("https://example.com"); // "https://example.com"
+ */
+export function withBase(path) {
+  if (!basePath || !path.startsWith("/") || path.startsWith("//")) return path;
+  return basePath + path;
+}
+
+/**
+ * turn a url path into an app path
+ * @param {string} path - Url path, may include a query string and hash
+ * @returns {string|null} App path, null when the path is outside the base path
+ * @example
+ * setBasePath("/app");
+ * stripBase("/app/about?tab=1"); // "/about?tab=1"
+ * stripBase("/other"); // null
+ */
+export function stripBase(path) {
+  if (!basePath) return path;
+  if (!path.startsWith(basePath)) return null;
+  const rest = path.slice(basePath.length);
+  if (rest.startsWith("/")) return rest;
+  // "/app?tab=1" is the root of the app, "/application" is not in it
+  return rest === "" || /^[?#]/.test(rest) ? `/${rest}` : null;
+}
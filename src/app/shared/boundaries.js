@@ -0,0 +1,221 @@
+/**
+ * cumstack Boundaries
+ * Suspense, ErrorBoundary, context Provider and route Outlet nodes, rendered by both the server and the client renderers
+ */
+
+import { createMoan, onClimax, untrack, catchError, runWithSuspense, runWithContext, getOwner, runWithOwner } from "./reactivity.js";
+import { getTransfer, runWithTransfer } from "./transfer.js";
+
+/**
+ * show a fallback until every loadShot resource read inside the children has loaded
+ * with an eager h(), pass the children as a function so they are created inside the boundary
+ * @param {Object} props - Component props
+ * @param {*} [props.fallback] - Content shown while resources are loading
+ * @param {*} props.children - Children, or a function returning them
+ * @returns {Object} Boundary node
+ * @example
+ * <Suspense fallback={<Spinner />}>
+ *   <UserProfile />
+ * </Suspense>
+ */
+export function Suspense({ fallback = null, children }) {
+  return { boundary: "suspense", fallback, children };
+}
+
+/**
+ * show a fallback when rendering the children or one of their effects throws
+ * @param {Object} props - Component props
+ * @param {*|((err: any, reset: () => void) => *)} props.fallback - Fallback content, or a function of the error and a reset callback
+ * @param {*} props.children - Children, or a function returning them
+ * @returns {Object} Boundary node
+ * @example
+ * <ErrorBoundary fallback={(err, reset) => <button onClick={reset}>{err.message}, retry</button>}>
+ *   <Dashboard />
+ * </ErrorBoundary>
+ */
+export function ErrorBoundary({ fallback, children }) {
+  return { boundary: "error", fallback, children };
+}
+
+const boundaryTypes = new Set(["suspense", "error", "context", "outlet"]);
+
+/**
+ * check if a value is a boundary node
+ * @param {any} vnode - Virtual node
+ * @returns {boolean}
+ */
+export function isBoundary(vnode) {
+  return vnode != null && typeof vnode === "object" && boundaryTypes.has(vnode.boundary);
+}
+
+/**
+ * render the children of a context Provider node inside a scope providing its value
+ * providers add no element of their own
+ * @template R
+ * @param {Object} vnode - Provider node
+ * @param {(vnode: any) => R} render - Renderer for the children
+ * @returns {R} Rendered children
+ */
+export function renderProvider(vnode, render) {
+  return runWithContext(vnode.context, vnode.value, () => render(resolveChildren(vnode.children)));
+}
+
+/**
+ * create the state of one suspense boundary
+ * slots remember what each resource settled to, so the next render reuses it instead of fetching again
+ * @returns {Object} Suspense boundary
+ */
+function createSuspenseBoundary() {
+  return { index: 0, settled: new Map(), pending: new Set() };
+}
+
+/**
+ * evaluate boundary children passed as a function
+ * @param {*} children - Children or a function returning them
+ * @returns {*} Children
+ */
+function resolveChildren(children) {
+  if (Array.isArray(children) && children.length === 1 && typeof children[0] === "function") return children[0]();
+  return typeof children === "function" ? children() : children;
+}
+
+/**
+ * evaluate a fallback
+ * @param {*} fallback - Fallback content or function
+ * @param {...any} args - Arguments for a fallback function
+ * @returns {*} Fallback content
+ */
+function resolveFallback(fallback, ...args) {
+  return typeof fallback === "function" ? fallback(...args) : fallback;
+}
+
+/**
+ * wrap boundary html in the element the client hydrates into
+ * @param {string} type - Boundary type
+ * @param {string} html - Rendered html
+ * @returns {string}
+ */
+export function wrapBoundaryHtml(type, html) {
+  return `<div data-cumstack-boundary="${type}" style="display: contents">${html}</div>`;
+}
+
+/**
+ * render a boundary node to html (server)
+ * suspense renders its children, waits for the resources read in them and renders again until
+ * nothing is pending; error boundaries render the fallback when the children throw
+ * @param {Object} vnode - Boundary node
+ * @param {(vnode: any) => Promise<string>|string} renderToString - Renderer for the children
+ * @returns {Promise<string>} Rendered html
+ */
+export async function renderBoundaryToString(vnode, renderToString) {
+  if (vnode.boundary === "context") return await renderProvider(vnode, renderToString);
+  if (vnode.boundary === "outlet") return wrapBoundaryHtml("outlet", await renderToString(vnode.render()));
+  if (vnode.boundary === "suspense") {
+    const boundary = createSuspenseBoundary();
+    // later passes run after an await, outside the page's transfer and context scope
+    const transfer = getTransfer();
+    const owner = getOwner();
+    const renderChildren = () => {
+      boundary.index = 0;
+      boundary.pending.clear();
+      return runWithOwner(owner, () =>
+        runWithTransfer(transfer, () => runWithSuspense(boundary, () => renderToString(resolveChildren(vnode.children)))),
+      );
+    };
+    let html = await renderChildren();
+    while (boundary.pending.size > 0) {
+      await Promise.allSettled([...boundary.pending]);
+      html = await renderChildren();
+    }
+    return wrapBoundaryHtml("suspense", html);
+  }
+  let caught = null;
+  let html = "";
+  try {
+    html = await catchError(
+      () => renderToString(resolveChildren(vnode.children)),
+      (err) => {
+        caught ??= err;
+      },
+    );
+  } catch (err) {
+    caught = err;
+  }
+  if (caught) html = await renderToString(resolveFallback(vnode.fallback, caught, () => {}));
+  return wrapBoundaryHtml("error", html ?? "");
+}
+
+/**
+ * create the element a boundary renders into (client)
+ * @param {Object} vnode - Boundary node
+ * @param {(vnode: any) => Node|null} createElement - Renderer for the children
+ * @returns {Node|null} Boundary element (the children themselves for providers)
+ */
+export function createBoundaryElement(vnode, createElement) {
+  if (vnode.boundary === "context") return renderProvider(vnode, createElement);
+  const container = document.createElement("div");
+  container.setAttribute("data-cumstack-boundary", vnode.boundary);
+  container.style.display = "contents";
+  mountBoundary(vnode, container, createElement);
+  return container;
+}
+
+/**
+ * render a boundary into its element and keep it updated (client)
+ * also used on hydration, where the element comes from the server html
+ * @param {Object} vnode - Boundary node
+ * @param {HTMLElement} container - Boundary element
+ * @param {(vnode: any) => Node|null} createElement - Renderer for the children
+ * @param {(vnode: any, domNode: Node) => Node} [hydrate] - Hydrates the server html of an outlet on its first render
+ */
+export function mountBoundary(vnode, container, createElement, hydrate) {
+  const show = (node) => container.replaceChildren(...(node ? [node] : []));
+  if (vnode.boundary === "outlet") {
+    let hydrating = !!hydrate && !!container.firstChild;
+    onClimax(() => {
+      const content = vnode.render();
+      if (hydrating) {
+        hydrating = false;
+        hydrate(content, container.firstChild);
+      } else show(createElement(content));
+      // the wrapper has no box of its own, so the route's root element carries the view transition name
+      const root = container.firstElementChild;
+      if (root && vnode.transitionName) root.style.viewTransitionName = untrack(vnode.transitionName) ?? "";
+    });
+    return;
+  }
+  if (vnode.boundary === "error") {
+    const [attempt, setAttempt] = createMoan(0);
+    const reset = () => setAttempt((n) => n + 1);
+    onClimax(() => {
+      attempt();
+      let failed = false;
+      const fail = (err) => {
+        failed = true;
+        untrack(() => show(createElement(resolveFallback(vnode.fallback, err, reset))));
+      };
+      const node = catchError(() => createElement(resolveChildren(vnode.children)), fail);
+      if (!failed) show(node);
+    });
+    return;
+  }
+  const boundary = createSuspenseBoundary();
+  const [version, setVersion] = createMoan(0);
+  onClimax(() => {
+    version();
+    boundary.index = 0;
+    boundary.pending.clear();
+    const node = runWithSuspense(boundary, () => createElement(resolveChildren(vnode.children)));
+    if (boundary.pending.size === 0) {
+      show(node);
+      return;
+    }
+    untrack(() => show(createElement(resolveFallback(vnode.fallback))));
+    // render again once the pending resources settled (their slots then hold the results)
+    let active = true;
+    Promise.allSettled([...boundary.pending]).then(() => active && setVersion((n) => n + 1));
+    return () => {
+      active = false;
+    };
+  });
+}
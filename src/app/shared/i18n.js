@@ -5,6 +5,7 @@
 
 import { createMoan } from "./reactivity.js";
 import { isValidLanguageCode, getLanguageName } from "./language-codes.js";
+import { stripBase } from "./base.js";
 
 // translation store
 const translations = new Map();
@@ -230,7 +231,8 @@ export function initI18n(options = {}) {
 export function localizeRoute(path, lang = null) {
   const language = lang || currentLanguage();
   const defaultLang = i18nConfiguration.fallbackLanguage || getSupportedLanguages()[0];
-  if (!i18nConfiguration.explicitRouting && language === defaultLang) return path;
+  // without a language (i18n not set up) there is nothing to prefix
+  if (!language || (!i18nConfiguration.explicitRouting && language === defaultLang)) return path;
   const normalizedPath = path.startsWith("/") ? path : `/${path}`;
   return `/${language}${normalizedPath}`;
 }
@@ -262,7 +264,7 @@ export function extractLanguageFromRoute(path) {
  */
 export function createLanguageSwitcher(navigate) {
   return (lang) => {
-    const currentPath = typeof window !== "undefined" ? window.location.pathname : "/";
+    const currentPath = typeof window !== "undefined" ? (stripBase(window.location.pathname) ?? window.location.pathname) : "/";
     const { path } = extractLanguageFromRoute(currentPath);
     const newPath = localizeRoute(path, lang);
     setLanguage(lang);
@@ -6,6 +6,7 @@
 export { env } from "./env.js";
 export { api } from "./api.js";
 export { cdn } from "./cdn.js";
+export { getBasePath, withBase } from "./base.js";
 export {
   t,
   registerTranslations,
@@ -0,0 +1,232 @@
+/**
+ * cumstack Route Matcher
+ * segment tree shared by the server and the client router
+ *
+ * at every segment static children are tried before params and params before splats, so
+ * `/users/new` wins over `/users/:id` regardless of registration order; matching walks the path
+ * segments and does not depend on the number of routes
+ */
+
+/**
+ * create a tree node
+ * params holds one child per constraint, constrained ones ahead of the plain one
+ * @returns {Object} Tree node
+ */
+function createNode() {
+  return { static: new Map(), params: [], splat: null, route: null };
+}
+
+/**
+ * split a path into segments
+ * @param {string} path - Path or pattern
+ * @returns {string[]}
+ */
+function splitPath(path) {
+  return path.split("/").filter(Boolean);
+}
+
+/**
+ * decode a captured segment
+ * @param {string} value - Raw segment
+ * @returns {string}
+ */
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// parsed patterns, shared by every matcher and by buildPath
+const parsedPatterns = new Map();
+
+/**
+ * parse a route pattern
+ * segments are static text, params (`:id`, optional `:slug?`, constrained `:id(\d+)`) or a splat
+ * (`*`, or `*path` to name it) matching the rest of the path; a constraint can't contain a slash
+ * @param {string} pattern - Route pattern like "/users/:id" or "/files/*path"
+ * @returns {{ segments: Array<Object>, keys: string[] }}
+ */
+export function parsePattern(pattern) {
+  let parsed = parsedPatterns.get(pattern);
+  if (parsed) return parsed;
+  const keys = [];
+  const segments = splitPath(pattern).map((segment) => {
+    const splat = segment.match(/^\*(\w+)?$/);
+    if (splat) {
+      keys.push(splat[1] || "*");
+      return { type: "splat", name: splat[1] || "*" };
+    }
+    const param = segment.match(/^:(\w+)(?:\((.+)\))?(\?)?$/);
+    if (param) {
+      const [, name, source = null, optional] = param;
+      keys.push(name);
+      return { type: "param", name, source, test: source ? new RegExp(`^(?:${source})$`) : null, optional: !!optional };
+    }
+    return { type: "static", value: segment };
+  });
+  parsed = { segments, keys };
+  parsedPatterns.set(pattern, parsed);
+  return parsed;
+}
+
+/**
+ * expand optional params into the segment lists they stand for
+ * @param {Array<Object>} segments - Parsed segments
+ * @returns {Array<Array<Object>>} Segment lists, the full one first
+ */
+function expandOptional(segments) {
+  let variants = [[]];
+  for (const segment of segments) {
+    const next = variants.map((variant) => [...variant, segment]);
+    variants = segment.optional ? [...next, ...variants] : next;
+  }
+  return variants;
+}
+
+/**
+ * build a path from a route pattern and params
+ * @param {string} pattern - Route pattern
+ * @param {Record<string, string|number>} [params] - Param values (a splat takes a slash-separated string)
+ * @param {boolean} [strict=true] - Throw on missing or invalid params, otherwise leave missing ones out
+ * @returns {string} Path
+ * @throws {Error} In strict mode, when a required param is missing or a value doesn't match its constraint
+ * @example
+ * buildPath("/post/:id(\\d+)", { id: 42 }); // "/post/42"
+ * buildPath("/docs/:slug?"); // "/docs"
+ * buildPath("/files/*path", { path: "a/b.txt" }); // "/files/a/b.txt"
+ */
+export function buildPath(pattern, params = {}, strict = true) {
+  const parts = [];
+  for (const segment of parsePattern(pattern).segments) {
+    if (segment.type === "static") {
+      parts.push(segment.value);
+      continue;
+    }
+    const value = params[segment.name] == null ? "" : String(params[segment.name]);
+    if (segment.type === "splat") {
+      parts.push(...splitPath(value).map(encodeURIComponent));
+      continue;
+    }
+    if (value === "") {
+      if (segment.optional || !strict) continue;
+      throw new Error(`cumstack: missing param "${segment.name}" for route ${pattern}`);
+    }
+    if (strict && segment.test && !segment.test.test(value)) {
+      throw new Error(`cumstack: param "${segment.name}" does not match (${segment.source}) in route ${pattern}`);
+    }
+    parts.push(encodeURIComponent(value));
+  }
+  return "/" + parts.join("/");
+}
+
+/**
+ * create a route matcher
+ * @returns {{ add: Function, match: Function, routes: Function }} Matcher
+ * @example
+ * const matcher = createMatcher();
+ * matcher.add("/users/:id", UserPage);
+ * matcher.add("/users/new", NewUserPage);
+ * matcher.match("/users/new"); // { value: NewUserPage, params: {}, pattern: "/users/new" }
+ */
+export function createMatcher() {
+  const root = createNode();
+  const patterns = new Map();
+
+  /**
+   * get or create the param child of a node for a constraint
+   * @param {Object} node - Parent node
+   * @param {string|null} source - Constraint source
+   * @param {RegExp|null} test - Constraint
+   * @returns {Object} Child node
+   */
+  function paramChild(node, source, test) {
+    let entry = node.params.find((param) => param.source === source);
+    if (!entry) {
+      entry = { source, test, node: createNode() };
+      node.params.push(entry);
+      // stable sort, constraints keep their registration order
+      node.params.sort((a, b) => !a.source - !b.source);
+    }
+    return entry.node;
+  }
+
+  /**
+   * add a route, replacing one registered with the same pattern
+   * @param {string} pattern - Route pattern
+   * @param {any} value - Value returned on match
+   */
+  function add(pattern, value) {
+    const { segments } = parsePattern(pattern);
+    expandOptional(segments).forEach((variant, i) => {
+      let node = root;
+      for (const segment of variant) {
+        if (segment.type === "splat") {
+          // a splat consumes the rest of the path, later segments are ignored
+          node = node.splat ||= createNode();
+          break;
+        }
+        if (segment.type === "param") node = paramChild(node, segment.source, segment.test);
+        else {
+          let next = node.static.get(segment.value);
+          if (!next) node.static.set(segment.value, (next = createNode()));
+          node = next;
+        }
+      }
+      // a variant that leaves out optional params doesn't replace a route written out in full
+      if (i > 0 && node.route && !node.route.partial) return;
+      const keys = variant.filter((segment) => segment.type !== "static").map((segment) => segment.name);
+      node.route = { pattern, keys, value, partial: i > 0 };
+    });
+    patterns.set(pattern, value);
+  }
+
+  /**
+   * walk the tree depth-first in rank order
+   * @param {Object} node - Current node
+   * @param {string[]} segments - Path segments
+   * @param {number} index - Current segment
+   * @param {string[]} values - Captured values
+   * @returns {Object|null} Matched route and captured values
+   */
+  function walk(node, segments, index, values) {
+    if (index === segments.length && node.route) return { route: node.route, values };
+    if (index < segments.length) {
+      const child = node.static.get(segments[index]);
+      if (child) {
+        const found = walk(child, segments, index + 1, values);
+        if (found) return found;
+      }
+      for (const param of node.params) {
+        const value = decode(segments[index]);
+        if (param.test && !param.test.test(value)) continue;
+        const found = walk(param.node, segments, index + 1, [...values, value]);
+        if (found) return found;
+      }
+    }
+    if (node.splat?.route) return { route: node.splat.route, values: [...values, segments.slice(index).map(decode).join("/")] };
+    return null;
+  }
+
+  /**
+   * match a path
+   * @param {string} path - Path (without query string)
+   * @returns {{ value: any, params: Record<string, string>, pattern: string }|null}
+   */
+  function match(path) {
+    const found = walk(root, splitPath(path), 0, []);
+    if (!found) return null;
+    const { route, values } = found;
+    const params = {};
+    route.keys.forEach((key, i) => (params[key] = values[i]));
+    return { value: route.value, params, pattern: route.pattern };
+  }
+
+  return {
+    add,
+    match,
+    // registered patterns and values in registration order
+    routes: () => patterns.entries(),
+  };
+}
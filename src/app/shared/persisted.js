@@ -0,0 +1,152 @@
+/**
+ * cumstack Persisted Signals
+ * signals backed by localStorage, sessionStorage or cookies, synchronized between open tabs
+ */
+
+import { createMoan, onCleanup, untrack } from "./reactivity.js";
+import { getTransfer } from "./transfer.js";
+
+// channel for storages without a native change event (cookies, custom storages)
+let channel = null;
+
+/**
+ * parse a cookie header
+ * @param {string} header - Cookie header or document.cookie
+ * @returns {Record<string, string>} Cookie values by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (!(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        cookies[name] = part.slice(index + 1).trim();
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * create a cookie storage
+ * on the server it reads the cookies of the request being rendered, so the first render matches the client
+ * @param {Object} [options] - Cookie attributes
+ * @param {string} [options.path="/"] - Cookie path
+ * @param {number} [options.maxAge=31536000] - Lifetime in seconds
+ * @param {string} [options.sameSite="Lax"] - SameSite attribute
+ * @param {string} [options.domain] - Cookie domain
+ * @param {boolean} [options.secure] - Send over https only
+ * @returns {{ getItem: Function, setItem: Function, removeItem: Function }} Storage
+ */
+function createCookieStorage(options = {}) {
+  const { path = "/", maxAge = 60 * 60 * 24 * 365, sameSite = "Lax", domain, secure } = options;
+  const attributes = (age) => {
+    let result = `; path=${path}; max-age=${age}; samesite=${sameSite}`;
+    if (domain) result += `; domain=${domain}`;
+    if (secure) result += "; secure";
+    return result;
+  };
+  return {
+    getItem(name) {
+      const header = typeof document !== "undefined" ? document.cookie : (getTransfer()?.cookies ?? "");
+      return parseCookies(header)[name] ?? null;
+    },
+    setItem(name, value) {
+      if (typeof document !== "undefined") document.cookie = `${name}=${encodeURIComponent(value)}${attributes(maxAge)}`;
+    },
+    removeItem(name) {
+      if (typeof document !== "undefined") document.cookie = `${name}=${attributes(0)}`;
+    },
+  };
+}
+
+/**
+ * resolve the storage option
+ * @param {string|Object} storage - "local", "session", "cookie" or a Storage-like object
+ * @param {Object} cookie - Cookie attributes
+ * @returns {Object|null} Storage, or null when it is not available here (web storage on the server)
+ */
+function resolveStorage(storage, cookie) {
+  if (storage === "cookie") return createCookieStorage(cookie);
+  if (storage === "local") return typeof localStorage !== "undefined" ? localStorage : null;
+  if (storage === "session") return typeof sessionStorage !== "undefined" ? sessionStorage : null;
+  return storage;
+}
+
+/**
+ * get the shared broadcast channel (client only)
+ * @returns {BroadcastChannel|null}
+ */
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== "undefined") channel = new BroadcastChannel("cumstack-persisted");
+  return channel;
+}
+
+/**
+ * create a signal that persists its value
+ * localStorage values sync between tabs through storage events, cookie and custom storages through a
+ * BroadcastChannel; sessionStorage is per tab and not synced
+ * @template T
+ * @param {string} key - Storage key (cookie name for cookie storage)
+ * @param {T} initial - Value when nothing is stored
+ * @param {Object} [options] - Persistence options
+ * @param {"local"|"session"|"cookie"|Object} [options.storage="local"] - Storage, or a Storage-like object with getItem/setItem/removeItem
+ * @param {(value: T) => string} [options.serialize=JSON.stringify] - Convert a value to its stored string
+ * @param {(raw: string) => T} [options.deserialize=JSON.parse] - Convert a stored string back to a value
+ * @param {boolean} [options.sync=true] - Synchronize the value between open tabs
+ * @param {Object} [options.cookie] - Cookie attributes (path, maxAge, sameSite, domain, secure)
+ * @returns {[() => T, (next: T | ((prev: T) => T)) => void]} Tuple of [getter, setter]
+ * @example
+ * const [theme, setTheme] = createPersistedMoan("theme", "light", { storage: "cookie" });
+ * const [cart, setCart] = createPersistedMoan("cart", []);
+ */
+export function createPersistedMoan(key, initial, options = {}) {
+  const { storage = "local", serialize = JSON.stringify, deserialize = JSON.parse, sync = true, cookie = {} } = options;
+  const store = resolveStorage(storage, cookie);
+  const read = (raw) => {
+    if (raw == null) return initial;
+    try {
+      return deserialize(raw);
+    } catch (err) {
+      console.warn(`cumstack: could not read persisted value "${key}"`, err);
+      return initial;
+    }
+  };
+  const [value, setValue] = createMoan(read(store?.getItem(key)));
+  // the storage key, so different storages with the same key don't cross-update through the channel
+  const id = `${typeof storage === "string" ? storage : "custom"}:${key}`;
+  const write = (next) => {
+    setValue(next);
+    const current = untrack(value);
+    const raw = current === undefined ? null : serialize(current);
+    try {
+      if (raw === null) store?.removeItem(key);
+      else store?.setItem(key, raw);
+    } catch (err) {
+      // quota exceeded or storage disabled, keep the in-memory value
+      console.warn(`cumstack: could not persist "${key}"`, err);
+    }
+    // other tabs only exist in the browser
+    if (sync && typeof window !== "undefined" && storage !== "local" && storage !== "session") getChannel()?.postMessage({ id, raw });
+  };
+  if (sync && typeof window !== "undefined") {
+    if (storage === "local") {
+      const onStorage = (e) => {
+        if (e.key === key && e.storageArea === localStorage) setValue(read(e.newValue));
+      };
+      window.addEventListener("storage", onStorage);
+      onCleanup(() => window.removeEventListener("storage", onStorage));
+    } else if (storage !== "session" && getChannel()) {
+      const onMessage = (e) => {
+        if (e.data?.id === id) setValue(read(e.data.raw));
+      };
+      channel.addEventListener("message", onMessage);
+      onCleanup(() => channel.removeEventListener("message", onMessage));
+    }
+  }
+  return [value, write];
+}
@@ -0,0 +1,166 @@
+/**
+ * cumstack Reactive Primitives
+ * signals for timers and browser state; listeners and timers are removed with the owning scope,
+ * and the server gets fixed defaults
+ */
+
+import { createMoan, onClimax, onCleanup, untrack } from "./reactivity.js";
+
+const isServer = typeof window === "undefined";
+
+/**
+ * create a signal that follows a source once it stopped changing for delay ms
+ * @template T
+ * @param {() => T} source - Source signal
+ * @param {number} delay - Delay in ms
+ * @returns {() => T} Debounced getter (the source itself on the server)
+ * @example
+ * const [query, setQuery] = createMoan("");
+ * const search = createDebounced(query, 300);
+ */
+export function createDebounced(source, delay) {
+  if (isServer) return source;
+  const [value, setValue] = createMoan(untrack(source));
+  let timer = null;
+  let first = true;
+  onClimax(() => {
+    const next = source();
+    if (first) {
+      first = false;
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(() => setValue(() => next), delay);
+  });
+  onCleanup(() => clearTimeout(timer));
+  return value;
+}
+
+/**
+ * create a signal that follows a source at most once every delay ms, ending on the latest value
+ * @template T
+ * @param {() => T} source - Source signal
+ * @param {number} delay - Delay in ms
+ * @returns {() => T} Throttled getter (the source itself on the server)
+ */
+export function createThrottled(source, delay) {
+  if (isServer) return source;
+  const [value, setValue] = createMoan(untrack(source));
+  let timer = null;
+  let last = 0;
+  let latest;
+  let first = true;
+  onClimax(() => {
+    latest = source();
+    if (first) {
+      first = false;
+      return;
+    }
+    const wait = last + delay - Date.now();
+    if (wait <= 0) {
+      clearTimeout(timer);
+      timer = null;
+      last = Date.now();
+      setValue(() => latest);
+    } else if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        last = Date.now();
+        setValue(() => latest);
+      }, wait);
+    }
+  });
+  onCleanup(() => clearTimeout(timer));
+  return value;
+}
+
+/**
+ * call a function every delay ms
+ * a getter for delay restarts the interval when it changes, and null pauses it
+ * @param {() => void} fn - Callback
+ * @param {number|null|(() => number|null)} delay - Delay in ms, or a signal for it
+ * @returns {() => void} Function stopping the interval (never started on the server)
+ */
+export function createInterval(fn, delay) {
+  if (isServer) return () => {};
+  return onClimax(() => {
+    const ms = typeof delay === "function" ? delay() : delay;
+    if (ms == null) return;
+    const id = setInterval(() => untrack(fn), ms);
+    return () => clearInterval(id);
+  });
+}
+
+/**
+ * create a signal for the current time, updated every interval ms
+ * @param {number} [interval=1000] - Update interval in ms
+ * @returns {() => number} Timestamp in ms
+ */
+export function createNow(interval = 1000) {
+  const [now, setNow] = createMoan(Date.now());
+  createInterval(() => setNow(Date.now()), interval);
+  return now;
+}
+
+/**
+ * subscribe to a window or document event for the lifetime of the current scope
+ * @param {EventTarget} target - Event target
+ * @param {string} event - Event name
+ * @param {Function} handler - Listener
+ */
+function listen(target, event, handler) {
+  target.addEventListener(event, handler);
+  onCleanup(() => target.removeEventListener(event, handler));
+}
+
+/**
+ * create a signal for a css media query
+ * @param {string} query - Media query
+ * @param {boolean} [serverFallback=false] - Value on the server
+ * @returns {() => boolean} Whether the query matches
+ * @example
+ * const isMobile = createMediaQuery("(max-width: 640px)");
+ */
+export function createMediaQuery(query, serverFallback = false) {
+  if (isServer || !window.matchMedia) return () => serverFallback;
+  const media = window.matchMedia(query);
+  const [matches, setMatches] = createMoan(media.matches);
+  listen(media, "change", (e) => setMatches(e.matches));
+  return matches;
+}
+
+/**
+ * create a signal for the window size
+ * @param {{ width: number, height: number }} [serverFallback] - Value on the server
+ * @returns {() => { width: number, height: number }} Window size
+ */
+export function createWindowSize(serverFallback = { width: 0, height: 0 }) {
+  if (isServer) return () => serverFallback;
+  const read = () => ({ width: window.innerWidth, height: window.innerHeight });
+  const [size, setSize] = createMoan(read());
+  listen(window, "resize", () => setSize(read()));
+  return size;
+}
+
+/**
+ * create a signal for the network status
+ * @returns {() => boolean} Whether the browser is online (true on the server)
+ */
+export function createOnline() {
+  if (isServer) return () => true;
+  const [online, setOnline] = createMoan(navigator.onLine);
+  listen(window, "online", () => setOnline(true));
+  listen(window, "offline", () => setOnline(false));
+  return online;
+}
+
+/**
+ * create a signal for the page visibility
+ * @returns {() => boolean} Whether the page is visible (true on the server)
+ */
+export function createVisibility() {
+  if (isServer) return () => true;
+  const [visible, setVisible] = createMoan(document.visibilityState === "visible");
+  listen(document, "visibilitychange", () => setVisible(document.visibilityState === "visible"));
+  return visible;
+}
@@ -0,0 +1,294 @@
+/**
+ * cumstack Queries
+ * keyed resource cache on top of loadShot (stale-while-revalidate, deduplication, invalidation) and optimistic mutations
+ */
+
+import { createMoan, loadShot, onCleanup, untrack, batch } from "./reactivity.js";
+
+// key hash -> cache entry
+const cache = new Map();
+let listening = false;
+
+/**
+ * normalize a query key to an array
+ * @param {string|Array} key - Query key
+ * @returns {Array}
+ */
+function normalizeKey(key) {
+  return Array.isArray(key) ? key : [key];
+}
+
+/**
+ * hash a query key (or one of its parts)
+ * @param {any} key - Query key
+ * @returns {string}
+ */
+function hashKey(key) {
+  return JSON.stringify(key);
+}
+
+/**
+ * get or create the cache entry for a key
+ * @param {string|Array} key - Query key
+ * @param {number} cacheTime - Time in ms to keep the entry once unused
+ * @returns {Object} Cache entry
+ */
+function getEntry(key, cacheTime) {
+  const normalized = normalizeKey(key);
+  const hash = hashKey(normalized);
+  let entry = cache.get(hash);
+  if (!entry) {
+    entry = { key: normalized, hash, data: undefined, updatedAt: 0, promise: null, controller: null, waiters: 0, observers: new Set() };
+    cache.set(hash, entry);
+  }
+  entry.cacheTime = Math.max(entry.cacheTime ?? 0, cacheTime);
+  return entry;
+}
+
+/**
+ * check if an entry holds data younger than staleTime
+ * @param {Object} entry - Cache entry
+ * @param {number} staleTime - Time in ms data stays fresh
+ * @returns {boolean}
+ */
+function isFresh(entry, staleTime) {
+  return entry.updatedAt > 0 && Date.now() - entry.updatedAt < staleTime;
+}
+
+/**
+ * subscribe a query to an entry
+ * @param {Object} entry - Cache entry
+ * @param {Object} observer - Query observer
+ */
+function observe(entry, observer) {
+  clearTimeout(entry.gcTimer);
+  entry.observers.add(observer);
+}
+
+/**
+ * unsubscribe a query from an entry and schedule garbage collection when unused
+ * @param {Object} entry - Cache entry
+ * @param {Object} observer - Query observer
+ */
+function unobserve(entry, observer) {
+  entry.observers.delete(observer);
+  if (entry.observers.size > 0) return;
+  entry.gcTimer = setTimeout(() => {
+    if (entry.observers.size === 0 && cache.get(entry.hash) === entry) cache.delete(entry.hash);
+  }, entry.cacheTime);
+}
+
+/**
+ * store fetched data and push it to every query on the entry
+ * @param {Object} entry - Cache entry
+ * @param {any} data - Fetched data
+ */
+function setEntryData(entry, data) {
+  entry.data = data;
+  entry.updatedAt = Date.now();
+  for (const observer of entry.observers) observer.resource?.mutate(() => data);
+}
+
+/**
+ * fetch an entry, sharing the in-flight request between queries
+ * the shared request is aborted only once every waiting query has aborted
+ * @param {Object} entry - Cache entry
+ * @param {Function} fetcher - Fetch function (signal, key) => Promise
+ * @param {AbortSignal} signal - Abort signal of the calling query
+ * @returns {Promise<any>}
+ */
+function fetchEntry(entry, fetcher, signal) {
+  if (!entry.promise) {
+    const controller = new AbortController();
+    entry.controller = controller;
+    entry.waiters = 0;
+    entry.promise = Promise.resolve()
+      .then(() => fetcher(controller.signal, entry.key))
+      .then((data) => {
+        if (!controller.signal.aborted) setEntryData(entry, data);
+        return data;
+      })
+      .finally(() => {
+        if (entry.controller !== controller) return;
+        entry.promise = null;
+        entry.controller = null;
+      });
+  }
+  const { promise, controller } = entry;
+  entry.waiters++;
+  signal.addEventListener(
+    "abort",
+    () => {
+      if (entry.promise !== promise || --entry.waiters > 0) return;
+      controller.abort();
+      entry.promise = null;
+      entry.controller = null;
+    },
+    { once: true },
+  );
+  return promise;
+}
+
+/**
+ * refetch stale queries that opted in to an event
+ * @param {string} option - Observer option name
+ */
+function revalidate(option) {
+  for (const entry of cache.values()) {
+    for (const observer of entry.observers) {
+      if (observer[option] && !isFresh(entry, observer.staleTime)) observer.resource?.refetch();
+    }
+  }
+}
+
+/**
+ * listen for window focus and reconnect once, on the client
+ */
+function listenForRevalidation() {
+  if (listening || typeof window === "undefined") return;
+  listening = true;
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") revalidate("refetchOnFocus");
+  });
+  window.addEventListener("online", () => revalidate("refetchOnReconnect"));
+}
+
+/**
+ * create a keyed query resource
+ * queries with the same key share one request and one cached result; cached data is shown
+ * immediately and revalidated in the background once older than staleTime
+ * @template T
+ * @param {string|Array|(() => string|Array)} key - Query key, or a reactive getter for it
+ * @param {(signal: AbortSignal, key: Array) => Promise<T>} fetcher - Async function to fetch data
+ * @param {Object} [options] - Query options
+ * @param {number} [options.staleTime=0] - Time in ms cached data is considered fresh
+ * @param {number} [options.cacheTime=300000] - Time in ms unused data stays in the cache
+ * @param {T|null} [options.initialValue=null] - Value before any data is cached
+ * @param {boolean} [options.refetchOnFocus=true] - Revalidate when the tab becomes visible
+ * @param {boolean} [options.refetchOnReconnect=true] - Revalidate when the browser comes back online
+ * @returns {Object} loadShot resource
+ */
+export function createQuery(key, fetcher, options = {}) {
+  const { staleTime = 0, cacheTime = 5 * 60 * 1000, initialValue = null, refetchOnFocus = true, refetchOnReconnect = true } = options;
+  const getKey = typeof key === "function" ? key : () => key;
+  const deps = typeof key === "function" ? key : null;
+  // no shared cache on the server, it would leak data between requests
+  if (typeof window === "undefined") return loadShot((signal) => fetcher(signal, normalizeKey(untrack(getKey))), deps, initialValue);
+  listenForRevalidation();
+  const observer = { resource: null, staleTime, refetchOnFocus, refetchOnReconnect };
+  let entry = null;
+  let force = false;
+  const attach = () => {
+    const next = getEntry(untrack(getKey), cacheTime);
+    if (next === entry) return;
+    if (entry) unobserve(entry, observer);
+    entry = next;
+    observe(entry, observer);
+    // show cached data for the new key right away
+    if (entry.updatedAt > 0) observer.resource?.mutate(() => entry.data);
+  };
+  attach();
+  const resource = loadShot(
+    (signal) => {
+      attach();
+      const forced = force;
+      force = false;
+      if (!forced && isFresh(entry, staleTime)) return entry.data;
+      return fetchEntry(entry, fetcher, signal);
+    },
+    deps,
+    entry.updatedAt > 0 ? entry.data : initialValue,
+  );
+  observer.resource = resource;
+  onCleanup(() => entry && unobserve(entry, observer));
+  return {
+    ...resource,
+    refetch: () => {
+      force = true;
+      return resource.refetch();
+    },
+    // writes go to the shared entry so every query on the key sees them
+    mutate: (next) => {
+      const value = typeof next === "function" ? next(untrack(resource.data)) : next;
+      entry.data = value;
+      for (const other of entry.observers) other.resource?.mutate(() => value);
+    },
+    dispose: () => {
+      resource.dispose();
+      if (entry) unobserve(entry, observer);
+    },
+  };
+}
+
+/**
+ * mark cached queries as stale and refetch the ones in use
+ * @param {string|Array} [keyPrefix] - Key or key prefix to match (all queries when omitted)
+ * @example
+ * invalidate(["todos"]); // matches ["todos"], ["todos", 1], ["todos", { done: true }]
+ */
+export function invalidate(keyPrefix = []) {
+  const prefix = normalizeKey(keyPrefix).map(hashKey);
+  for (const entry of cache.values()) {
+    if (prefix.length > entry.key.length || prefix.some((part, i) => part !== hashKey(entry.key[i]))) continue;
+    entry.updatedAt = 0;
+    for (const observer of entry.observers) observer.resource?.refetch();
+  }
+}
+
+/**
+ * create a mutation that optimistically updates a resource
+ * mutate(localValue) shows the value right away, keeps it (or the committed server value) when the
+ * request succeeds, and rolls back to the previous value when it fails
+ * @template T, R
+ * @param {Object|null} resource - loadShot or createQuery resource to update (null for plain mutations)
+ * @param {(localValue: T, previousValue: T) => Promise<R>} mutationFn - Async function performing the server call
+ * @param {Object} [options] - Mutation options
+ * @param {(result: R, localValue: T) => T} [options.commit] - Value to keep on success (defaults to localValue)
+ * @param {string|Array} [options.invalidate] - Query key prefix to invalidate on success
+ * @param {(result: R, localValue: T) => void} [options.onSuccess] - Called after a successful request
+ * @param {(error: Error, localValue: T) => void} [options.onError] - Called after a failed request (after rollback)
+ * @returns {Object} Mutation object with mutate, pending, error and reset
+ * @example
+ * const post = createQuery(["post", id], fetchPost);
+ * const like = createMutation(post, (next) => api.post(`/posts/${id}/like`, { liked: next.liked }));
+ * like.mutate({ ...post.data(), liked: true });
+ */
+export function createMutation(resource, mutationFn, options = {}) {
+  const { commit, invalidate: invalidateKey, onSuccess, onError } = options;
+  const [inFlight, setInFlight] = createMoan(0);
+  const [error, setError] = createMoan(null);
+  const mutate = async (localValue) => {
+    const previousValue = resource ? untrack(resource.data) : undefined;
+    batch(() => {
+      setInFlight((count) => count + 1);
+      setError(null);
+      if (resource) resource.mutate(() => localValue);
+    });
+    try {
+      const result = await mutationFn(localValue, previousValue);
+      if (resource && commit) {
+        const committed = commit(result, localValue);
+        resource.mutate(() => committed);
+      }
+      if (invalidateKey !== undefined) invalidate(invalidateKey);
+      onSuccess?.(result, localValue);
+      return result;
+    } catch (err) {
+      batch(() => {
+        // roll back unless a later mutation already replaced the optimistic value
+        if (resource && Object.is(untrack(resource.data), localValue)) resource.mutate(() => previousValue);
+        setError(err);
+      });
+      onError?.(err, localValue);
+      return undefined;
+    } finally {
+      setInFlight((count) => count - 1);
+    }
+  };
+  return {
+    mutate,
+    pending: () => inFlight() > 0,
+    error,
+    reset: () => setError(null),
+  };
+}
@@ -1,89 +1,578 @@
 /**
  * cumstack Reactivity System
  * signal-based fine-grained reactivity (shared between client and server)
+ *
+ * push-pull core: writes push a stale mark through the graph, memos are
+ * pulled (recomputed) only when read, and effects are flushed once per change
  */
 
+import { takeTransferred, registerTransfer, getTransfer, trackTransfer } from "./transfer.js";
+import { stripBase } from "./base.js";
+
+// computation states
+const CLEAN = 0;
+const CHECK = 1;
+const DIRTY = 2;
+
 let currentEffect = null;
-const effectStack = [];
+let currentOwner = null;
+// suspense boundary rendering right now (resources created and read inside it register with it)
+let currentSuspense = null;
 let batchDepth = 0;
-let pending = null;
-let schedule = null;
+let flushing = false;
+// incremented per flush, so effects can count their runs within one flush
+let flushId = 0;
+const pending = new Set();
+// global error hooks (error reporting)
+const errorHooks = new Set();
+
+// times one effect may re-run in a single flush before it is treated as an update loop
+const MAX_UPDATE_DEPTH = 100;
+
+// interop symbol read by RxJS-style libraries (Symbol.observable where a polyfill defines it)
+const $observable = (typeof Symbol === "function" && Symbol.observable) || "@@observable";
+
+/**
+ * create an owner node for the current scope
+ * @returns {Object} Owner node
+ */
+function createOwner() {
+  return { owner: currentOwner, owned: null, cleanups: null, disposed: false };
+}
+
+/**
+ * create a computation node (effect or memo) owned by the current scope
+ * @param {Function} fn - Computation function
+ * @param {boolean} isMemo - Whether the node caches a value for observers
+ * @returns {Object} Computation node
+ */
+function createComputation(fn, isMemo) {
+  const node = createOwner();
+  node.fn = fn;
+  node.value = undefined;
+  node.state = DIRTY;
+  // signals and memos read during the last run, re-collected on every run
+  node.sources = new Set();
+  node.observers = isMemo ? new Set() : null;
+  // runs within the current flush (update-depth guard)
+  node.flushId = 0;
+  node.updates = 0;
+  if (node.owner) (node.owner.owned ||= []).push(node);
+  return node;
+}
+
+/**
+ * unsubscribe a computation from every signal it read
+ * @param {Object} node - Computation node
+ */
+function cleanSources(node) {
+  for (const source of node.sources) source.observers.delete(node);
+  node.sources.clear();
+}
+
+/**
+ * dispose owned children and run cleanups, keeping the owner usable
+ * @param {Object} owner - Owner node
+ */
+function cleanOwner(owner) {
+  if (owner.sources) cleanSources(owner);
+  if (owner.owned) {
+    const owned = owner.owned;
+    owner.owned = null;
+    for (const child of owned) disposeOwner(child);
+  }
+  if (owner.cleanups) {
+    const cleanups = owner.cleanups;
+    owner.cleanups = null;
+    for (let i = cleanups.length - 1; i >= 0; i--) cleanups[i]();
+  }
+  // handlers registered with onError during the previous run
+  if (owner.fn) owner.handlers = null;
+}
+
+/**
+ * dispose an owner and everything it owns
+ * @param {Object} owner - Owner node
+ */
+function disposeOwner(owner) {
+  if (owner.disposed) return;
+  owner.disposed = true;
+  cleanOwner(owner);
+}
+
+/**
+ * subscribe the running computation to a signal or memo node
+ * @param {Object} node - Source node
+ */
+function track(node) {
+  if (!currentEffect) return;
+  node.observers.add(currentEffect);
+  currentEffect.sources.add(node);
+}
+
+/**
+ * push a stale mark down the graph; effects are queued the first time they leave the clean state
+ * @param {Object} node - Computation node
+ * @param {number} state - CHECK when an upstream memo may have changed, DIRTY when a source did change
+ */
+function markStale(node, state) {
+  if (node.state >= state) return;
+  if (node.state === CLEAN && !node.observers) pending.add(node);
+  node.state = state;
+  if (node.observers) for (const observer of node.observers) markStale(observer, CHECK);
+}
+
+/**
+ * bring a computation up to date, pulling upstream memos first
+ * @param {Object} node - Computation node
+ */
+function updateIfNecessary(node) {
+  if (node.state === CHECK) {
+    for (const source of node.sources) {
+      if (source.fn) updateIfNecessary(source);
+      if (node.state === DIRTY) break;
+    }
+  }
+  if (node.state === DIRTY) runComputation(node);
+  else node.state = CLEAN;
+}
+
+/**
+ * pass an error to the handlers of the nearest scope above a node that has any,
+ * then to the global hooks; logged when no hook is registered and no scope handled it
+ * @param {any} err - Thrown error
+ * @param {Object|null} owner - Owner node the error was thrown in
+ */
+function handleError(err, owner) {
+  let handled = false;
+  for (let node = owner; node && !handled; node = node.owner) {
+    if (!node.handlers) continue;
+    try {
+      for (const handler of node.handlers) handler(err);
+      handled = true;
+    } catch (next) {
+      // a failing handler passes its own error further up
+      err = next;
+    }
+  }
+  for (const hook of errorHooks) {
+    try {
+      hook(err, { handled });
+    } catch (hookError) {
+      console.error("onReactiveError hook failed:", hookError);
+    }
+  }
+  if (!handled && errorHooks.size === 0) console.error("Effect error:", err);
+}
+
+/**
+ * describe a computation for error messages
+ * @param {Object} node - Computation node
+ * @returns {string}
+ */
+function describe(node) {
+  return node.fn.name || "anonymous effect";
+}
+
+/**
+ * re-run a computation with dependency tracking
+ * @param {Object} node - Computation node
+ */
+function runComputation(node) {
+  const prevOwner = currentOwner;
+  const prevEffect = currentEffect;
+  let result;
+  try {
+    // drop stale subscriptions, dispose nested computations and run cleanups from the previous run
+    currentEffect = null;
+    cleanOwner(node);
+    node.state = CLEAN;
+    currentEffect = currentOwner = node;
+    result = node.fn(node.value);
+  } catch (err) {
+    handleError(err, node);
+    return;
+  } finally {
+    currentOwner = prevOwner;
+    currentEffect = prevEffect;
+  }
+  if (node.observers) {
+    if (Object.is(node.value, result)) return;
+    node.value = result;
+    for (const observer of node.observers) markStale(observer, DIRTY);
+  } else if (typeof result === "function") (node.cleanups ||= []).push(result);
+}
+
+/**
+ * run a queued effect, updating stale owners first so a re-running parent can dispose it
+ * @param {Object} node - Effect node
+ */
+function runTop(node) {
+  if (node.disposed || node.state === CLEAN) return;
+  const ancestors = [node];
+  for (let owner = node.owner; owner; owner = owner.owner) if (owner.state) ancestors.push(owner);
+  for (let i = ancestors.length - 1; i >= 0; i--) if (!ancestors[i].disposed) updateIfNecessary(ancestors[i]);
+}
+
+/**
+ * stop an update loop: drop the queue and report the effects that kept re-triggering each other
+ * @param {Object} node - Effect that exceeded the update depth
+ * @param {Array} trail - Effects re-run in this flush, oldest first
+ */
+function abortUpdateLoop(node, trail) {
+  // reset queued effects so later writes can schedule them again
+  for (const item of pending) if (typeof item !== "function") item.state = CLEAN;
+  pending.clear();
+  node.state = CLEAN;
+  const cycle = trail.slice(trail.lastIndexOf(node)).map(describe);
+  const err = new Error(
+    `cumstack: maximum update depth exceeded, effects keep writing signals that re-run each other: ${[...cycle, describe(node)].join(" -> ")}`,
+  );
+  err.chain = cycle;
+  handleError(err, node);
+}
+
+/**
+ * run queued effects and scheduled callbacks until the queue is empty
+ */
+function flush() {
+  if (flushing) return;
+  flushing = true;
+  flushId++;
+  const trail = [];
+  try {
+    for (const item of pending) {
+      pending.delete(item);
+      if (typeof item === "function") {
+        try {
+          item();
+        } catch (err) {
+          handleError(err, null);
+        }
+        continue;
+      }
+      if (item.flushId !== flushId) {
+        item.flushId = flushId;
+        item.updates = 0;
+      } else if (++item.updates > MAX_UPDATE_DEPTH) {
+        abortUpdateLoop(item, trail);
+        break;
+      } else {
+        // only re-runs can be part of a loop
+        trail.push(item);
+        if (trail.length > 2 * MAX_UPDATE_DEPTH) trail.splice(0, MAX_UPDATE_DEPTH);
+      }
+      runTop(item);
+    }
+  } finally {
+    flushing = false;
+  }
+}
+
+/**
+ * create a root scope that owns every effect, memo and resource created inside it
+ * @template T
+ * @param {(dispose: () => void) => T} fn - Function receiving the dispose callback
+ * @returns {T} Result of the function
+ */
+export function createRoot(fn) {
+  const root = createOwner();
+  const dispose = () => disposeOwner(root);
+  return runWithOwner(root, () => untrack(() => fn(dispose)));
+}
+
+/**
+ * register a cleanup callback on the current owner scope
+ * @param {() => void} fn - Cleanup function
+ * @returns {() => void} The cleanup function
+ */
+export function onCleanup(fn) {
+  if (currentOwner) (currentOwner.cleanups ||= []).push(fn);
+  return fn;
+}
+
+/**
+ * register an error handler on the current owner scope
+ * it receives errors thrown by effects and memos in the scope and everything it owns
+ * @param {(err: any) => void} fn - Error handler; throwing from it passes the error to the scope above
+ * @returns {(err: any) => void} The handler
+ */
+export function onError(fn) {
+  if (currentOwner) (currentOwner.handlers ||= []).push(fn);
+  return fn;
+}
+
+/**
+ * register a global hook for errors thrown in effects, memos and scheduled callbacks
+ * hooks see every error, including ones a scope handled, so they can forward them to error reporting
+ * @param {(err: any, info: { handled: boolean }) => void} fn - Hook
+ * @returns {() => void} Function removing the hook
+ * @example
+ * onReactiveError((err, { handled }) => reportError(err, { tags: { handled } }));
+ */
+export function onReactiveError(fn) {
+  errorHooks.add(fn);
+  return () => errorHooks.delete(fn);
+}
+
+/**
+ * get the current owner scope
+ * @returns {Object|null} Owner node
+ */
+export function getOwner() {
+  return currentOwner;
+}
+
+/**
+ * run a function inside a given owner scope
+ * @template T
+ * @param {Object|null} owner - Owner node from getOwner()
+ * @param {() => T} fn - Function to run
+ * @returns {T} Result of the function
+ */
+export function runWithOwner(owner, fn) {
+  const prev = currentOwner;
+  currentOwner = owner;
+  try {
+    return fn();
+  } finally {
+    currentOwner = prev;
+  }
+}
+
+/**
+ * run a function inside an error scope
+ * errors thrown by fn and by effects created inside it go to the handler instead of the console
+ * @template T
+ * @param {() => T} fn - Function to run
+ * @param {(err: any) => void} handler - Error handler; throwing from it passes the error to the scope above
+ * @returns {T|undefined} Result of the function, undefined when it threw
+ */
+export function catchError(fn, handler) {
+  const owner = createOwner();
+  owner.handlers = [handler];
+  if (owner.owner) (owner.owner.owned ||= []).push(owner);
+  try {
+    return runWithOwner(owner, fn);
+  } catch (err) {
+    handleError(err, owner);
+    return undefined;
+  }
+}
+
+/**
+ * create a context for passing values down the component tree
+ * @template T
+ * @param {T} [defaultValue] - Value returned by useContext outside any Provider
+ * @returns {{ id: symbol, defaultValue: T, Provider: Function }} Context object
+ * @example
+ * const ThemeContext = createContext("light");
+ * <ThemeContext.Provider value="dark">{() => <Page />}</ThemeContext.Provider>
+ * // inside Page
+ * const theme = useContext(ThemeContext);
+ */
+export function createContext(defaultValue) {
+  const context = { id: Symbol("cumstack-context"), defaultValue };
+  // rendered by the renderers, which run the children inside runWithContext
+  context.Provider = ({ value, children }) => ({ boundary: "context", context, value, children });
+  return context;
+}
+
+/**
+ * read the closest provided value of a context
+ * @template T
+ * @param {{ id: symbol, defaultValue: T }} context - Context from createContext
+ * @returns {T} Provided value, or the default value
+ */
+export function useContext(context) {
+  for (let owner = currentOwner; owner; owner = owner.owner) {
+    if (owner.context && context.id in owner.context) return owner.context[context.id];
+  }
+  return context.defaultValue;
+}
+
+/**
+ * run a function in a child scope that provides a context value
+ * the value lives on the scope, so each render (and each server request) gets its own
+ * @template T, R
+ * @param {{ id: symbol }} context - Context from createContext
+ * @param {T} value - Provided value
+ * @param {() => R} fn - Function to run
+ * @returns {R} Result of the function
+ */
+export function runWithContext(context, value, fn) {
+  const owner = createOwner();
+  owner.context = { [context.id]: value };
+  if (owner.owner) (owner.owner.owned ||= []).push(owner);
+  return runWithOwner(owner, fn);
+}
+
+/**
+ * get the suspense boundary rendering right now
+ * @returns {Object|null} Suspense boundary
+ */
+export function getSuspense() {
+  return currentSuspense;
+}
+
+/**
+ * run a render inside a suspense boundary
+ * loadShot resources created inside it claim a slot on the boundary, and resources read while
+ * loading add their request to boundary.pending
+ * @template T
+ * @param {Object|null} boundary - Suspense boundary ({ index, settled, pending })
+ * @param {() => T} fn - Render function
+ * @returns {T} Result of the function
+ */
+export function runWithSuspense(boundary, fn) {
+  const prev = currentSuspense;
+  currentSuspense = boundary;
+  try {
+    return fn();
+  } finally {
+    currentSuspense = prev;
+  }
+}
 
 /**
  *  create a reactive signal
  * @template T
  * @param {T} initial - Initial value
+ * @param {Object} [options] - Signal options
+ * @param {string} [options.key] - Transfer key; the server serializes the value and the client revives it on hydration
  * @returns {[() => T, (next: T | ((prev: T) => T)) => void]} Tuple of [getter, setter]
  */
-export function createMoan(initial) {
-  let value = initial;
-  const subscribers = new Set();
+export function createMoan(initial, options = {}) {
+  const { key } = options;
+  const transferred = key !== undefined ? takeTransferred(key) : undefined;
+  const node = { value: transferred ? transferred.value : initial, observers: new Set() };
   const read = () => {
-    if (currentEffect) subscribers.add(currentEffect);
-    return value;
+    track(node);
+    return node.value;
   };
   const write = (next) => {
-    const newValue = typeof next === "function" ? next(value) : next;
-    if (Object.is(value, newValue)) return;
-    value = newValue;
-    const effects = [...subscribers];
-    for (const effect of effects) if (subscribers.has(effect)) (schedule || ((e) => e()))(effect);
+    const newValue = typeof next === "function" ? next(node.value) : next;
+    if (Object.is(node.value, newValue)) return;
+    node.value = newValue;
+    batch(() => {
+      for (const observer of node.observers) markStale(observer, DIRTY);
+    });
   };
+  if (key !== undefined) registerTransfer(key, read);
+  read[$observable] = observeGetter;
   return [read, write];
 }
 
+/**
+ * Symbol.observable implementation shared by signal getters (called with the getter as this)
+ * @returns {Object} Observable emitting the current value and every change
+ */
+function observeGetter() {
+  const getter = this;
+  return {
+    subscribe(observer) {
+      const next = typeof observer === "function" ? observer : observer?.next?.bind(observer);
+      const unsubscribe = createRoot((dispose) => {
+        onClimax(() => {
+          const value = getter();
+          if (next) untrack(() => next(value));
+        });
+        return dispose;
+      });
+      return { unsubscribe };
+    },
+    [$observable]() {
+      return this;
+    },
+  };
+}
+
 /**
  * create an effect that runs when dependencies change
+ * effects belong to the scope they are created in and are disposed with it
  * @param {() => void} fn - Effect function
  * @returns {() => void} Dispose function to stop the effect
  */
 export function onClimax(fn) {
-  let disposed = false;
-  const cleanup = [];
-  const effect = () => {
-    if (disposed) return;
-    effectStack.push(effect);
-    currentEffect = effect;
-    try {
-      // run any previous cleanup
-      cleanup.forEach((c) => c());
-      cleanup.length = 0;
-      const result = fn();
-      if (typeof result === "function") cleanup.push(result);
-    } catch (err) {
-      console.error("Effect error:", err);
-    } finally {
-      effectStack.pop();
-      currentEffect = effectStack[effectStack.length - 1] || null;
-    }
-  };
-  batch(effect);
+  const node = createComputation(fn, false);
+  if (batchDepth > 0) pending.add(node);
+  else runComputation(node);
   return () => {
-    disposed = true;
-    cleanup.forEach((c) => c());
-    cleanup.length = 0;
+    disposeOwner(node);
+    const siblings = node.owner?.owned;
+    const index = siblings ? siblings.indexOf(node) : -1;
+    if (index > -1) siblings.splice(index, 1);
   };
 }
 
 /**
  * create a computed value
+ * memos are lazy: a change only marks them stale, and they recompute when next read
  * @template T
  * @param {() => T} fn - Computation function
  * @returns {() => T} Getter for the computed value
  */
 export function knotMemo(fn) {
+  const node = createComputation(fn, true);
+  return () => {
+    if (!node.disposed) updateIfNecessary(node);
+    track(node);
+    return node.value;
+  };
+}
+
+/**
+ * create a selector that tracks each key separately
+ * isSelected(key) only re-runs when the result for that key changes, so changing the selection
+ * updates two rows instead of every row
+ * @template T, K
+ * @param {() => T} source - Signal holding the selected value
+ * @param {(key: K, value: T) => boolean} [fn] - Comparison (defaults to key === value); with a custom one every tracked key is checked on change
+ * @returns {(key: K) => boolean} Tracked check for one key
+ * @example
+ * const isSelected = createSelector(selectedId);
+ * <For each={rows()}>{(row) => <tr className={isSelected(row.id) ? "active" : ""}>...</tr>}</For>
+ */
+export function createSelector(source, fn) {
+  const compare = fn || ((key, value) => key === value);
+  // key -> node whose observers read isSelected(key)
+  const subs = new Map();
+  const notify = (node) => {
+    if (node) for (const observer of node.observers) markStale(observer, DIRTY);
+  };
+  let value;
   let initialized = false;
-  let cached;
-  const [signal, setSignal] = createMoan();
   onClimax(() => {
-    const result = fn();
-    if (!initialized || !Object.is(result, cached)) {
-      cached = result;
-      untrack(() => batch(() => setSignal(result)));
+    const next = source();
+    const prev = value;
+    value = next;
+    if (!initialized) {
       initialized = true;
+      return;
     }
+    untrack(() =>
+      batch(() => {
+        if (fn) {
+          for (const [key, node] of subs) if (compare(key, prev) !== compare(key, next)) notify(node);
+        } else if (!Object.is(prev, next)) {
+          notify(subs.get(prev));
+          notify(subs.get(next));
+        }
+      }),
+    );
   });
-  return signal;
+  return (key) => {
+    if (currentEffect) {
+      let node = subs.get(key);
+      if (!node) subs.set(key, (node = { observers: new Set() }));
+      track(node);
+      // drop the node once nothing reads this key anymore
+      onCleanup(() => {
+        if (node.observers.size === 0 && subs.get(key) === node) subs.delete(key);
+      });
+    }
+    return compare(key, value);
+  };
 }
 
 /**
@@ -92,13 +581,24 @@ export function knotMemo(fn) {
  * @param {(signal: AbortSignal) => Promise<T>} fetcher - Async function to fetch data
  * @param {(() => any) | null} deps - Optional signal to trigger refetch
  * @param {T | null} initialValue - Initial value before data loads
- * @returns {Object} Resource object with data, loading, error states and methods
+ * @param {Object} [options] - Resource options
+ * @param {string} [options.key] - Transfer key; data resolved on the server is embedded in the page and reused on hydration
+ * @returns {Object} Resource object with data, loading, error states and methods (mutate sets data locally)
  */
-export function loadShot(fetcher, deps = null, initialValue = null) {
-  const [data, setData] = createMoan(initialValue);
+export function loadShot(fetcher, deps = null, initialValue = null, options = {}) {
+  const { key } = options;
+  const transferred = key !== undefined ? takeTransferred(key) : undefined;
+  const transfer = key !== undefined ? getTransfer() : null;
+  // resources inside a suspense boundary reuse the result settled in the boundary's previous render
+  const suspense = currentSuspense;
+  const slot = suspense ? suspense.index++ : -1;
+  const settled = suspense?.settled.get(slot);
+  const [data, setData] = createMoan(transferred ? transferred.value : settled && !settled.failed ? settled.value : initialValue);
   const [loading, setLoading] = createMoan(false);
-  const [error, setError] = createMoan(null);
+  const [error, setError] = createMoan(settled?.failed ? settled.error : null);
   let controller = null;
+  let disposed = false;
+  let request = null;
   const refetch = async () => {
     if (controller) controller.abort();
     controller = new AbortController();
@@ -108,7 +608,15 @@ export function loadShot(fetcher, deps = null, initialValue = null) {
       setError(null);
     });
     try {
-      const result = await fetcher(signal);
+      const current = (request = Promise.resolve(fetcher(signal)));
+      if (transfer) trackTransfer(transfer, key, current);
+      if (suspense) {
+        current.then(
+          (value) => suspense.settled.set(slot, { value }),
+          (err) => suspense.settled.set(slot, { failed: true, error: err }),
+        );
+      }
+      const result = await current;
       batch(() => {
         if (!signal.aborted) setData(result);
       });
@@ -122,18 +630,38 @@ export function loadShot(fetcher, deps = null, initialValue = null) {
       });
     }
   };
+  let disposeDeps = null;
+  // transferred or settled data stands in for the first fetch
+  let skipFetch = !!transferred || !!settled;
   if (deps) {
-    onClimax(() => {
+    disposeDeps = onClimax(() => {
       const _ = deps();
-      refetch();
+      if (skipFetch) skipFetch = false;
+      else refetch();
     });
-  } else queueMicrotask(refetch);
-  const dispose = () => controller?.abort();
+  } else if (!skipFetch) {
+    // on the server and inside suspense, start right away so the request is tracked before the render pass ends
+    if (transfer || suspense) refetch();
+    else queueMicrotask(() => !disposed && refetch());
+  }
+  const dispose = () => {
+    disposed = true;
+    controller?.abort();
+    disposeDeps?.();
+  };
+  // abort in-flight requests when the owning scope is disposed
+  onCleanup(dispose);
+  // reading while loading suspends the boundary the read happens in
+  const read = () => {
+    if (currentSuspense && request && untrack(loading)) currentSuspense.pending.add(request);
+    return data();
+  };
   return {
-    data,
+    data: read,
     loading,
     error,
     refetch,
+    mutate: setData,
     dispose,
     idle: () => !loading() && data() === initialValue,
     success: () => !loading() && !error(),
@@ -141,30 +669,137 @@ export function loadShot(fetcher, deps = null, initialValue = null) {
   };
 }
 
+/**
+ * create a signal from an external source
+ * accepts an observable (anything with subscribe or Symbol.observable), an async iterable (async
+ * generators, ReadableStream) or a producer function (set) => cleanup; the subscription ends with
+ * the current scope, and errors go to the scope's error handlers
+ * @template T
+ * @param {Object|AsyncIterable<T>|((set: (value: T) => void) => (() => void)|void)} source - External source
+ * @param {T} [initialValue] - Value until the source emits
+ * @returns {() => T} Getter for the latest value
+ * @example
+ * const message = from((set) => {
+ *   const ws = new WebSocket(url);
+ *   ws.onmessage = (e) => set(JSON.parse(e.data));
+ *   return () => ws.close();
+ * });
+ */
+export function from(source, initialValue) {
+  const [value, setValue] = createMoan(initialValue);
+  const owner = currentOwner;
+  const set = (next) => setValue(() => next);
+  const fail = (err) => handleError(err, owner);
+  // signal getters are functions too, so observables are checked first
+  const observable = source?.[$observable]?.() ?? source;
+  if (typeof observable?.subscribe === "function") {
+    const subscription = observable.subscribe({ next: set, error: fail, complete: () => {} });
+    onCleanup(() => (typeof subscription === "function" ? subscription() : subscription?.unsubscribe()));
+    return value;
+  }
+  if (typeof source === "function") {
+    const cleanup = source(set);
+    if (typeof cleanup === "function") onCleanup(cleanup);
+    return value;
+  }
+  if (source && (typeof source[Symbol.asyncIterator] === "function" || typeof source.getReader === "function")) {
+    let stopped = false;
+    // streams without async iteration support are read through a reader
+    const iterator =
+      typeof source[Symbol.asyncIterator] === "function"
+        ? source[Symbol.asyncIterator]()
+        : (() => {
+            const reader = source.getReader();
+            return { next: () => reader.read(), return: () => reader.cancel() };
+          })();
+    (async () => {
+      try {
+        while (!stopped) {
+          const { value: next, done } = await iterator.next();
+          if (done || stopped) break;
+          set(next);
+        }
+      } catch (err) {
+        if (!stopped) fail(err);
+      }
+    })();
+    onCleanup(() => {
+      stopped = true;
+      iterator.return?.();
+    });
+    return value;
+  }
+  throw new TypeError("cumstack: from() expects an observable, an async iterable or a producer function");
+}
+
+/**
+ * stream the values of a signal or memo
+ * yields the current value, then every change in order; stops when the loop breaks or the current scope is disposed
+ * @template T
+ * @param {() => T} source - Signal or memo getter
+ * @returns {AsyncIterableIterator<T>} Async iterator
+ * @example
+ * for await (const count of toAsyncIterator(count)) console.log("count", count);
+ */
+export function toAsyncIterator(source) {
+  const queue = [];
+  let waiting = null;
+  let done = false;
+  const dispose = createRoot((dispose) => {
+    onClimax(() => {
+      const value = source();
+      if (waiting) {
+        waiting({ value, done: false });
+        waiting = null;
+      } else queue.push(value);
+    });
+    return dispose;
+  });
+  const finish = () => {
+    if (done) return;
+    done = true;
+    dispose();
+    queue.length = 0;
+    waiting?.({ value: undefined, done: true });
+    waiting = null;
+  };
+  onCleanup(finish);
+  return {
+    next() {
+      if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false });
+      if (done) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve) => (waiting = resolve));
+    },
+    return() {
+      finish();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+}
+
 /**
  * batch multiple updates together
- * @param {Function} fn - Function to run in batch
+ * effects run once when the outermost batch ends
+ * @template T
+ * @param {() => T} fn - Function to run in batch
+ * @returns {T} Result of the function
  */
 export function batch(fn) {
-  if (batchDepth++ === 0) pending = new Set();
-  const prev = schedule;
-  schedule = (e) => pending.add(e);
+  batchDepth++;
   try {
-    fn(schedule);
+    return fn();
   } finally {
-    schedule = prev;
-    if (--batchDepth === 0) {
-      const effects = pending;
-      pending = null;
-      for (const e of effects) e();
-    }
+    if (--batchDepth === 0) flush();
   }
 }
 
 // external scheduling
 batch.schedule = (fn) => {
-  if (batchDepth > 0) pending.add(fn);
-  else fn();
+  pending.add(fn);
+  if (batchDepth === 0) flush();
 };
 
 /**
@@ -185,7 +820,7 @@ export const untrack = (fn) => {
 
 /**
  * get current location (pathname, search, hash)
- * returns a reactive signal that updates on navigation
+ * returns a reactive signal that updates on navigation; active() takes an app path, without the base path
  * @returns {Object} Location object with location signal, active function, and dispose method
  */
 let locationInstance = null;
@@ -236,7 +871,7 @@ export function useLocation() {
   const events = ["popstate", "pushstate", "replacestate"];
   events.forEach((e) => window.addEventListener(e, update));
 
-  const active = (path) => location().pathname === path;
+  const active = (path) => (stripBase(location().pathname) ?? location().pathname) === path;
   const dispose = () => events.forEach((e) => window.removeEventListener(e, update));
 
   locationInstance = {
@@ -3,24 +3,13 @@
  * simple manual routing with params and navigation
  */
 
-import { createMoan } from "./reactivity.js";
+import { createMoan, knotMemo, untrack, batch, createContext, useContext, getSuspense } from "./reactivity.js";
+import { readInitialData, getTransfer } from "./transfer.js";
+import { createMatcher, parsePattern, buildPath } from "./matcher.js";
+import { localizeRoute } from "./i18n.js";
+import { withBase, stripBase } from "./base.js";
 
-/**
- * parse route pattern to regex with params
- * @param {string} pattern - Route pattern like "/user/:id"
- * @returns {{ regex: RegExp, params: string[] }}
- */
-function parseRoute(pattern) {
-  const params = [];
-  const regexPattern = pattern.replace(/\*/g, ".*").replace(/:(\w+)/g, (_, param) => {
-    params.push(param);
-    return "([^/]+)";
-  });
-  return {
-    regex: new RegExp(`^${regexPattern}$`),
-    params,
-  };
-}
+export { buildPath };
 
 /**
  * match a path against a pattern
@@ -29,21 +18,110 @@ function parseRoute(pattern) {
  * @returns {{ matched: boolean, params: Record<string, string> }}
  */
 export function matchRoute(path, pattern) {
-  const { regex, params: paramNames } = parseRoute(pattern);
-  const match = path.match(regex);
-  if (!match) return { matched: false, params: {} };
-  const params = {};
-  paramNames.forEach((name, index) => (params[name] = match[index + 1]));
-  return { matched: true, params };
+  const matcher = createMatcher();
+  matcher.add(pattern, true);
+  const match = matcher.match(path);
+  return match ? { matched: true, params: match.params } : { matched: false, params: {} };
+}
+
+/**
+ * check if two param objects hold the same values
+ * @param {Record<string, string>} a - Params
+ * @param {Record<string, string>} b - Params
+ * @returns {boolean}
+ */
+function sameParams(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key]);
+}
+
+/**
+ * check if a value is a promise
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isPromise(value) {
+  return value != null && typeof value.then === "function";
+}
+
+// redirects followed by one navigation before it fails
+const MAX_REDIRECTS = 10;
+
+// navigation state outside the client, where nothing navigates
+const idleNavigation = { state: () => "idle", location: () => null, pendingLocation: () => null };
+// navigation state of the router driving the page
+let activeNavigation = null;
+// search params of the router driving the page
+let activeSearch = null;
+
+/**
+ * read the navigation state of the page
+ * state is "idle", "loading" while guards, loaders and lazy chunks of a navigation run, or "submitting"
+ * while an action passed to router.submit() runs; on the server it stays idle
+ * @returns {{ state: () => string, location: () => Object|null, pendingLocation: () => Object|null }} Signals
+ * @example
+ * const navigation = useNavigation();
+ * onClimax(() => progressBar.classList.toggle("active", navigation.state() !== "idle"));
+ */
+export function useNavigation() {
+  return activeNavigation ?? idleNavigation;
+}
+
+/**
+ * app path of the page url, without the base path
+ * @returns {string}
+ */
+function windowPath() {
+  return stripBase(window.location.pathname) ?? window.location.pathname;
+}
+
+/**
+ * app path of the page url with its query string and hash
+ * @returns {string}
+ */
+function windowHref() {
+  return windowPath() + window.location.search + window.location.hash;
+}
+
+/**
+ * strip a resolved location down to what readers see
+ * @param {Object} resolved - Resolved location
+ * @returns {{ path: string, params: Record<string, string>, pattern: string|null }}
+ */
+function toLocation({ path, params, pattern }) {
+  return { path, params, pattern };
 }
 
 /**
  * create a router instance
+ * navigation runs beforeEach guards and the beforeEnter of every route being entered, then loads the
+ * route's loaders and lazy chunks and runs beforeResolve guards right before it commits; a guard returns
+ * false to cancel, a path to redirect, or a promise of either
  */
 export function createRouter() {
-  const routes = new Map();
-  const [currentPath, setCurrentPath] = createMoan(typeof window !== "undefined" ? window.location.pathname : "/");
+  const routes = createMatcher();
+  // app path of the current history entry with its query string and hash, the one source of the url readers see
+  const [currentPath, setCurrentPath] = createMoan(typeof window !== "undefined" ? windowHref() : "/");
   const [currentParams, setCurrentParams] = createMoan({});
+  // loader results of the current route chain, one entry per level
+  const [loaderData, setLoaderData] = createMoan([]);
+  const hooks = { beforeEach: new Set(), beforeResolve: new Set(), afterEach: new Set() };
+  // id of the latest navigation, older ones stop at their next guard
+  let navigationId = 0;
+  // position in the session history, kept in history.state to undo cancelled back/forward navigation
+  let historyIndex = 0;
+  let ignorePop = false;
+  // aborts the loaders of a navigation that was replaced by a newer one
+  let loadController = null;
+  const [navigationState, setNavigationState] = createMoan("idle");
+  const [location, setLocation] = createMoan(null);
+  const [pendingLocation, setPendingLocation] = createMoan(null);
+  // query string of the current history entry, read from currentPath so the two never disagree
+  const search = knotMemo(() => currentPath().match(/\?[^#]*/)?.[0] ?? "");
+  // the navigation or submission pendingLocation belongs to
+  let activeRun = null;
+  // pending save of the scroll position after scrolling, cleared whenever the current entry changes
+  let scrollTimer = null;
 
   /**
    * register a route
@@ -51,66 +129,667 @@ export function createRouter() {
    * @param {Function} handler - Route handler
    */
   function register(pattern, handler) {
-    routes.set(pattern, handler);
+    routes.add(pattern, handler);
   }
 
   /**
-   * navigate to a path
+   * add a navigation hook
+   * @param {Set<Function>} set - Hook set
+   * @param {Function} fn - Hook
+   * @returns {() => void} Function removing the hook
+   */
+  function addHook(set, fn) {
+    set.add(fn);
+    return () => set.delete(fn);
+  }
+
+  /**
+   * resolve a path to the location guards receive
+   * @param {string} path - Path, may include a query string and hash
+   * @returns {{ path: string, params: Record<string, string>, pattern: string|null, handler: any }}
+   */
+  function resolve(path) {
+    const match = routes.match(path.split(/[?#]/)[0]);
+    return { path, params: match?.params ?? {}, pattern: match?.pattern ?? null, handler: match?.value ?? null };
+  }
+
+  /**
+   * run the guards of a navigation and commit it
    * @param {string} path - Target path
    * @param {Object} options - Navigation options
+   * @param {{ index: number, delta: number, scroll: Object|null, redirected?: boolean }|null} popped - History entry the browser
+   * moved to (popstate), redirected when a guard redirected away from it
+   * @param {number} redirects - Redirects followed so far
+   * @returns {Promise<boolean>|boolean} Whether the navigation happened
+   */
+  function transition(path, options, popped, redirects) {
+    const id = ++navigationId;
+    const from = resolve(untrack(currentPath));
+    const to = resolve(path);
+    const fromChain = from.handler?.chain ?? [];
+    const entering = (to.handler?.chain ?? []).filter((record) => record.beforeEnter && !fromChain.includes(record));
+    const guards = [...hooks.beforeEach, ...entering.map((record) => record.beforeEnter)];
+
+    // put the browser history back after a cancelled back/forward navigation
+    const restore = () => {
+      if (!popped) return;
+      ignorePop = popped.delta !== 0;
+      if (ignorePop) window.history.go(-popped.delta);
+      else window.history.replaceState({ index: historyIndex, state: null }, "", withBase(from.path));
+    };
+
+    const commit = (data) => {
+      if (id !== navigationId) return false;
+      if (popped) {
+        historyIndex = popped.index;
+        // a redirect rewrites the entry the browser moved to
+        if (popped.redirected) window.history.replaceState({ index: historyIndex, state: null }, "", withBase(path));
+      } else writeHistory(path, options);
+      const apply = () => {
+        // path and data change together, so the view never renders one without the other
+        batch(() => {
+          setLoaderData(data);
+          setCurrentPath(windowHref());
+          setLocation(toLocation(to));
+          matchCurrentRoute();
+        });
+        updateScroll(path, popped, options.scroll);
+        for (const hook of hooks.afterEach) hook(to, from);
+      };
+      // animate the swap where view transitions are supported, routes name their root element;
+      // the navigation settles once the view swapped, and rejects when apply threw
+      if (typeof document !== "undefined" && document.startViewTransition && options.viewTransition !== false) {
+        return document.startViewTransition(apply).updateCallbackDone.then(() => true);
+      }
+      apply();
+      return true;
+    };
+
+    // a guard cancelled or redirected the navigation
+    const stop = (result) => {
+      if (id !== navigationId) return false;
+      if (typeof result === "string") {
+        if (redirects >= MAX_REDIRECTS) throw new Error(`cumstack: too many redirects navigating to ${to.path}`);
+        // the redirect takes the place of this navigation, a popped entry keeps its index and is rewritten in place
+        const next = popped ? { index: popped.index, delta: popped.delta, scroll: null, redirected: true } : null;
+        return transition(stripBase(result) ?? result, options, next, redirects + 1);
+      }
+      restore();
+      return false;
+    };
+
+    // guards that return synchronously keep the navigation synchronous
+    const runGuards = (list, index, next) => {
+      for (; index < list.length; index++) {
+        const result = list[index](to, from);
+        if (isPromise(result)) {
+          return result.then((value) => {
+            if (id !== navigationId) return false;
+            return value === undefined || value === true ? runGuards(list, index + 1, next) : stop(value);
+          });
+        }
+        if (result !== undefined && result !== true) return stop(result);
+      }
+      return next();
+    };
+
+    // beforeResolve guards run once the route is ready to render, right before it commits
+    const resolveAndCommit = (data) => runGuards([...hooks.beforeResolve], 0, () => commit(data));
+
+    const load = () => {
+      const chain = to.handler?.chain ?? [];
+      if (!chain.some((record) => record.loader || record.component?.preload)) return resolveAndCommit([]);
+      loadController?.abort();
+      const controller = (loadController = new AbortController());
+      const request = new Request(new URL(withBase(path), window.location.origin), { signal: controller.signal });
+      const prev = { chain: fromChain, params: from.params, data: untrack(loaderData) };
+      // lazy route chunks load next to the loaders, the view swaps once both are ready
+      return Promise.all([runLoaders(chain, to.params, request, prev), preloadRoute(chain)]).then(
+        ([data]) => (id === navigationId ? resolveAndCommit(data) : false),
+        (err) => {
+          if (id !== navigationId) return false;
+          restore();
+          throw err;
+        },
+      );
+    };
+
+    return runGuards(guards, 0, load);
+  }
+
+  /**
+   * push or replace the history entry of a navigation
+   * @param {string} path - App path
+   * @param {Object} options - Navigation options
+   */
+  function writeHistory(path, { replace = false, state = null }) {
+    clearTimeout(scrollTimer);
+    if (!replace) {
+      saveScroll();
+      historyIndex++;
+    }
+    const entry = { index: historyIndex, state };
+    if (replace) window.history.replaceState(entry, "", withBase(path));
+    else window.history.pushState(entry, "", withBase(path));
+  }
+
+  /**
+   * store the scroll position in the current history entry
+   */
+  function saveScroll() {
+    window.history.replaceState({ ...window.history.state, index: historyIndex, scroll: { x: window.scrollX, y: window.scrollY } }, "");
+  }
+
+  /**
+   * scroll after a navigation rendered
+   * back/forward restores the position stored in the entry, other navigation scrolls to the #hash
+   * target or to the top
+   * @param {string} path - Path navigated to
+   * @param {Object|null} popped - History entry the browser moved to (popstate)
+   * @param {boolean} [scroll=true] - Scroll on push and replace navigation
+   */
+  function updateScroll(path, popped, scroll = true) {
+    if (popped?.scroll) return window.scrollTo(popped.scroll.x, popped.scroll.y);
+    if (!popped && scroll === false) return;
+    const index = path.indexOf("#");
+    const hash = index === -1 ? (popped ? window.location.hash.slice(1) : "") : path.slice(index + 1);
+    if (!scrollToHash(hash)) window.scrollTo(0, 0);
+  }
+
+  /**
+   * scroll the element a #hash points at into view
+   * @param {string} hash - Hash without the "#"
+   * @returns {boolean} Whether the element exists
+   */
+  function scrollToHash(hash) {
+    const target = hash && document.getElementById(decodeURIComponent(hash));
+    if (target) target.scrollIntoView();
+    return !!target;
+  }
+
+  /**
+   * resolve an href relative to the current page
+   * "#section" and "?page=2" keep the current path, "#section" also keeps the query string
+   * @param {string} path - App path or a hash/query-only href
+   * @returns {string} App path
+   */
+  function resolveHref(path) {
+    if (path.startsWith("#")) return windowPath() + window.location.search + path;
+    if (path.startsWith("?")) return windowPath() + path;
+    return path;
+  }
+
+  /**
+   * track a navigation or submission in the navigation state
+   * navigations that finish synchronously never leave the idle state
+   * @param {Promise<any>|any} result - Result of the run
+   * @param {string} state - State while it runs
+   * @param {Object|null} pending - Location being navigated to
+   * @returns {Promise<any>} Result
+   */
+  function track(result, state, pending) {
+    if (!isPromise(result)) return Promise.resolve(result);
+    const run = (activeRun = {});
+    batch(() => {
+      setNavigationState(state);
+      setPendingLocation(pending);
+    });
+    const settle = () => {
+      if (activeRun !== run) return;
+      activeRun = null;
+      batch(() => {
+        setNavigationState("idle");
+        setPendingLocation(null);
+      });
+    };
+    return Promise.resolve(result).finally(settle);
+  }
+
+  /**
+   * run an action, like posting a form, with the navigation state "submitting"
+   * when it resolves to a path, the router navigates there
+   * @param {() => Promise<string|void>|string|void} action - Action
+   * @param {Object} [options] - Navigation options for the follow-up navigation
+   * @returns {Promise<any>} Result of the action
+   */
+  function submit(action, options = {}) {
+    return track(Promise.resolve().then(action), "submitting", untrack(location)).then((result) => {
+      if (typeof result === "string") return navigate(result, options).then(() => result);
+      return result;
+    });
+  }
+
+  /**
+   * navigate to a path
+   * @param {string} path - Target app path, or a url under the base path like the ones href() builds
+   * @param {Object} options - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current history entry
+   * @param {any} [options.state=null] - History state
+   * @param {boolean} [options.scroll=true] - Scroll to the top, or to the #hash target
+   * @param {boolean} [options.viewTransition=true] - Animate the swap with a view transition when supported
+   * @returns {Promise<boolean>} Whether the navigation happened (false when a guard cancelled it or a newer one started)
    */
   function navigate(path, options = {}) {
+    if (typeof window === "undefined") return Promise.resolve(false);
+    path = resolveHref(stripBase(path) ?? path);
+    // a new #hash on the same page only scrolls, the route and its data stay
+    const hashIndex = path.indexOf("#");
+    if (hashIndex !== -1 && path.slice(0, hashIndex) === windowPath() + window.location.search) {
+      writeHistory(path, options);
+      setCurrentPath(windowHref());
+      if (options.scroll !== false) scrollToHash(path.slice(hashIndex + 1));
+      return Promise.resolve(true);
+    }
+    try {
+      return track(transition(path, options, null, 0), "loading", toLocation(resolve(path)));
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+
+  /**
+   * change the query string of the current page
+   * no guards or loaders run and the view stays, only readers of the search params update
+   * @param {string} query - Query string, with or without the leading "?"
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.replace=false] - Replace the current history entry
+   */
+  function setSearch(query, options = {}) {
     if (typeof window === "undefined") return;
-    const { replace = false, state = null } = options;
-    if (replace) window.history.replaceState(state, "", path);
-    else window.history.pushState(state, "", path);
-    setCurrentPath(path);
-    matchCurrentRoute();
+    const url = new URL(window.location.href);
+    url.search = query;
+    if (url.search === window.location.search) return;
+    const target = url.pathname + url.search + url.hash;
+    clearTimeout(scrollTimer);
+    if (options.replace) window.history.replaceState({ ...window.history.state, index: historyIndex }, "", target);
+    else {
+      saveScroll();
+      window.history.pushState({ index: ++historyIndex, state: null }, "", target);
+    }
+    setCurrentPath(windowHref());
   }
 
   /**
    * match current route and extract params
+   * @returns {{ handler: any, params: Record<string, string>, pattern: string, data: Array<any> }|null}
    */
   function matchCurrentRoute() {
-    const path = currentPath();
-    for (const [pattern, handler] of routes) {
-      const { matched, params } = matchRoute(path, pattern);
-      if (matched) {
-        setCurrentParams(params);
-        return { handler, params };
-      }
-    }
-    return null;
+    const match = routes.match(currentPath().split(/[?#]/)[0]);
+    if (!match) return null;
+    const { value: handler, params, pattern } = match;
+    // keep the current object when nothing changed, so readers don't re-run
+    setCurrentParams((prev) => (sameParams(prev, params) ? prev : params));
+    return { handler, params, pattern, data: loaderData() };
   }
 
   /**
    * handle browser navigation events
+   * the url already changed, so cancelling moves the history back to where it was
+   * @param {PopStateEvent} e - Popstate event
    */
-  function handlePopState() {
-    setCurrentPath(window.location.pathname);
-    matchCurrentRoute();
+  function handlePopState(e) {
+    clearTimeout(scrollTimer);
+    if (ignorePop) {
+      ignorePop = false;
+      return;
+    }
+    const index = e.state?.index ?? 0;
+    const path = windowPath();
+    // entries of the same page, like those pushed by setSearch() or for a #hash, only differ in their
+    // search params and hash
+    if (path === untrack(currentPath).split(/[?#]/)[0]) {
+      // the browser pushes entries without state for plain #hash links, they come after the current one
+      if (e.state?.index == null) window.history.replaceState({ index: ++historyIndex, state: null }, "");
+      else historyIndex = index;
+      setCurrentPath(windowHref());
+      scrollToHash(window.location.hash.slice(1));
+      return;
+    }
+    const popped = { index, delta: index - historyIndex, scroll: e.state?.scroll ?? null };
+    const report = (err) => console.error("cumstack navigation error:", err);
+    // synchronous guards throw right away, like too many redirects
+    try {
+      const href = windowHref();
+      track(transition(href, {}, popped, 0), "loading", toLocation(resolve(href))).catch(report);
+    } catch (err) {
+      report(err);
+    }
   }
 
   /**
    * initialize router
+   * the initial page is rendered without running guards, the server already handled that request;
+   * loader data comes from the server render, or is loaded here when the page was not server rendered
+   * @returns {{ ready: Promise<any>|null, dispose: () => void }} ready settles once the lazy components and loader data of the
+   * current page loaded (null when there is nothing to load) and rejects when a loader or chunk fails, like navigate() does;
+   * dispose removes the router's listeners
    */
   function init() {
     if (typeof window !== "undefined") {
+      const entry = window.history.state;
+      if (entry?.index == null) window.history.replaceState({ index: 0, state: entry }, "");
+      historyIndex = entry?.index ?? 0;
+      // the base path is known by now, the path read when the router was created may still include it
+      setCurrentPath(windowHref());
       window.addEventListener("popstate", handlePopState);
-      matchCurrentRoute();
+      // the router restores scroll positions itself, the browser would restore them before the view changed
+      if ("scrollRestoration" in window.history) window.history.scrollRestoration = "manual";
+      // keep the position of the current entry up to date for back/forward navigation away from it
+      const onScroll = () => {
+        clearTimeout(scrollTimer);
+        scrollTimer = setTimeout(saveScroll, 100);
+      };
+      window.addEventListener("scroll", onScroll, { passive: true });
+      const dispose = () => {
+        clearTimeout(scrollTimer);
+        window.removeEventListener("popstate", handlePopState);
+        window.removeEventListener("scroll", onScroll);
+      };
+      const match = matchCurrentRoute();
+      setLocation(toLocation(resolve(untrack(currentPath))));
+      activeNavigation = { state: navigationState, location, pendingLocation };
+      activeSearch = { search, setSearch };
+      const initial = readInitialData()?.loaderData;
+      const chain = match?.handler?.chain ?? [];
+      const pending = [];
+      if (initial) setLoaderData(initial);
+      else if (chain.some((record) => record.loader)) {
+        const id = navigationId;
+        const request = new Request(window.location.href);
+        pending.push(runLoaders(chain, match.params, request).then((data) => id === navigationId && setLoaderData(data)));
+      }
+      if (chain.some((record) => record.component?.preload)) pending.push(preloadRoute(chain));
+      return { ready: pending.length ? Promise.all(pending) : null, dispose };
     }
+    return { ready: null, dispose: () => {} };
   }
 
   return {
     register,
     navigate,
+    submit,
     init,
+    // guards receive (to, from) with { path, params, pattern } locations
+    beforeEach: (guard) => addHook(hooks.beforeEach, guard),
+    beforeResolve: (guard) => addHook(hooks.beforeResolve, guard),
+    afterEach: (hook) => addHook(hooks.afterEach, hook),
     currentPath,
     currentParams,
+    navigation: { state: navigationState, location, pendingLocation },
+    search,
+    setSearch,
     matchRoute: matchCurrentRoute,
   };
 }
 
+/**
+ * route component
+ * routes describe the route tree and render nothing themselves; Router (or the app entry) collects them
+ * nested routes extend the parent path, and a parent with a component is a layout that renders
+ * the matched child where it places an <Outlet />
+ * @param {Object} props - Component props
+ * @param {string} [props.path] - Route path, relative to the parent route; supports `:id`, optional `:slug?`,
+ * constrained `:id(\d+)` and splat `*path` segments
+ * @param {boolean} [props.index] - Render at the parent's own path
+ * @param {Function} [props.component] - Component rendered for the route, receives { params, path }
+ * @param {*} [props.element] - Element rendered for the route
+ * @param {*} [props.children] - Nested routes, or the element to render
+ * @param {(to: Object, from: Object) => any} [props.beforeEnter] - Guard run when navigating into this route from outside it
+ * @param {string} [props.name] - Route name, for building its url with href()
+ * @param {(args: { params: Record<string, string>, request: Request }) => any} [props.loader] - Loads the route data before
+ * it renders, on the server and on client navigation; read it with useLoaderData()
+ * @returns {Object} Route descriptor
+ * @example
+ * <Route path="/dashboard" component={DashboardLayout}>
+ *   <Route index component={Overview} />
+ *   <Route path="settings" component={Settings} />
+ * </Route>
+ */
+export function Route({ path = "", index = false, name, component, element, children, beforeEnter, loader }) {
+  return { route: true, path: index ? "" : path, name, component, element, children, beforeEnter, loader };
+}
+
+/**
+ * read a route descriptor from a Route call, or from a JSX node for Route that was not called yet
+ * @param {any} node - Node to check
+ * @returns {Object|null} Route descriptor
+ */
+function toRouteDescriptor(node) {
+  if (!node || typeof node !== "object") return null;
+  if (node.route === true) return node;
+  if (node.type !== Route) return null;
+  const children = node.props?.children ?? node.children;
+  return Route({ ...node.props, children });
+}
+
+/**
+ * join a child route path onto its parent path
+ * @param {string} parent - Parent path
+ * @param {string} path - Child path
+ * @returns {string}
+ */
+function joinPaths(parent, path) {
+  const joined = `${parent.replace(/\/+$/, "")}/${path.replace(/^\/+/, "")}`;
+  return joined.length > 1 ? joined.replace(/\/+$/, "") : "/";
+}
+
+// route patterns by name, shared by the server and the client
+const namedRoutes = new Map();
+
+/**
+ * build the url of a named route for the active language
+ * in development a missing or invalid param throws, in production it is left out
+ * @param {string} name - Route name
+ * @param {Record<string, string|number>} [params] - Route params
+ * @param {Record<string, string>} [query] - Query params
+ * @returns {string} Localized url, under the base path
+ * @throws {Error} When no route has this name
+ * @example
+ * <Route name="user" path="/users/:id" component={UserPage} />
+ * href("user", { id: 42 }, { tab: "posts" }); // "/users/42?tab=posts" ("/de/users/42?tab=posts" in german, "/app/users/42?tab=posts" under /app)
+ */
+export function href(name, params = {}, query = null) {
+  const pattern = namedRoutes.get(name);
+  if (pattern === undefined) throw new Error(`cumstack: no route named "${name}"`);
+  const path = buildPath(pattern, params, globalThis.__ENVIRONMENT__ === "development");
+  return withBase(localizeRoute(path)) + (query ? buildQuery(query) : "");
+}
+
+/**
+ * collect the routes of an app tree
+ * walks through wrapper components (FoxgirlCreampie, Router) without calling them, and adds named
+ * routes to the table href() reads
+ * @param {any} tree - App tree
+ * @param {Object|null} [parent] - Parent route record
+ * @param {Array} [records] - Collected records
+ * @returns {Array<Object>} Route records in declaration order ({ path, name, keys, component, element, beforeEnter, loader, chain })
+ */
+export function collectRoutes(tree, parent = null, records = []) {
+  if (tree == null || typeof tree !== "object") return records;
+  if (Array.isArray(tree)) {
+    for (const child of tree) collectRoutes(child, parent, records);
+    return records;
+  }
+  const descriptor = toRouteDescriptor(tree);
+  if (!descriptor) {
+    collectRoutes(tree.props?.children ?? tree.children, parent, records);
+    return records;
+  }
+  const nested = collectRoutes(descriptor.children, null, []).length > 0;
+  const path = joinPaths(parent ? parent.path : "/", descriptor.path);
+  const record = {
+    path,
+    name: descriptor.name ?? null,
+    // param names in the full path, compared to decide if a layout re-renders
+    keys: parsePattern(path).keys,
+    component: descriptor.component,
+    element: descriptor.element ?? (nested ? null : descriptor.children),
+    beforeEnter: descriptor.beforeEnter ?? null,
+    loader: descriptor.loader ?? null,
+  };
+  record.chain = parent ? [...parent.chain, record] : [record];
+  if (record.name) namedRoutes.set(record.name, path);
+  records.push(record);
+  if (nested) collectRoutes(descriptor.children, record, records);
+  return records;
+}
+
+// the next route level for <Outlet /> and the loader data of the current level
+const RouteContext = createContext(null);
+
+/**
+ * render the matched child route inside a layout
+ * @returns {Object|null} Outlet node
+ */
+export function Outlet() {
+  const next = useContext(RouteContext)?.outlet;
+  return next ? next() : null;
+}
+
+/**
+ * read the loader data of the route being rendered
+ * @template T
+ * @returns {T|undefined} Value the route's loader resolved to
+ * @example
+ * <Route path="/users/:id" loader={({ params }) => api.get(`/users/${params.id}`)} component={UserPage} />
+ * function UserPage() {
+ *   const user = useLoaderData();
+ *   return <h1>{user.name}</h1>;
+ * }
+ */
+export function useLoaderData() {
+  return useContext(RouteContext)?.data;
+}
+
+/**
+ * create a component whose module is loaded on demand, in its own chunk of the client bundle
+ * only routes and Suspense boundaries wait for it: routes load it before they render, and a Suspense
+ * boundary renders again once it loaded; anywhere else it renders nothing and is not rendered again
+ * when the module arrives, so call preload() before rendering it there
+ * @param {() => Promise<{ default: Function }>} load - Dynamic import of the module
+ * @param {string} [chunk] - Source module of the chunk, filled in by the builder for modulepreload hints
+ * @returns {Function} Component
+ * @example
+ * const Admin = lazy(() => import("./pages/Admin.jsx"));
+ * <Route path="/admin" component={Admin} />
+ */
+export function lazy(load, chunk = null) {
+  let component = null;
+  let promise = null;
+  const preload = () => {
+    promise ??= Promise.resolve(load()).then((mod) => {
+      component = mod.default ?? mod;
+      return component;
+    });
+    return promise;
+  };
+  const LazyComponent = (props) => {
+    if (component) return component(props);
+    const pending = preload();
+    getSuspense()?.pending.add(pending);
+    return null;
+  };
+  LazyComponent.preload = preload;
+  LazyComponent.chunk = chunk;
+  return LazyComponent;
+}
+
+/**
+ * load the lazy components of a matched route chain
+ * @param {Array<Object>} chain - Matched route chain
+ * @returns {Promise<Array<any>>}
+ */
+export function preloadRoute(chain) {
+  return Promise.all(chain.map((record) => record.component?.preload?.()));
+}
+
+/**
+ * get the client chunks of the lazy components in a route chain (server)
+ * the builder defines __CUMSTACK_CHUNKS__, a map of source modules to their chunk and its imports
+ * @param {Array<Object>} chain - Matched route chain
+ * @returns {string[]} Chunk urls to preload
+ */
+export function getRouteChunks(chain) {
+  const manifest = typeof __CUMSTACK_CHUNKS__ !== "undefined" ? __CUMSTACK_CHUNKS__ : {};
+  const urls = new Set();
+  for (const record of chain) {
+    for (const url of manifest[record.component?.chunk] ?? []) urls.add(withBase(url));
+  }
+  return [...urls];
+}
+
+/**
+ * run the loaders of a matched route chain in parallel
+ * a layout keeps the data of the previous match while its own params are unchanged, like its view
+ * @param {Array<Object>} chain - Matched route chain
+ * @param {Record<string, string>} params - Route params
+ * @param {Request} request - Request passed to the loaders
+ * @param {{ chain: Array<Object>, params: Record<string, string>, data: Array<any> }} [prev] - Previous match and its data
+ * @returns {Promise<Array<any>>} Loader data per level
+ */
+export function runLoaders(chain, params, request, prev = null) {
+  return Promise.all(
+    chain.map((record, level) => {
+      if (!record.loader) return undefined;
+      const deepest = level === chain.length - 1;
+      if (!deepest && prev?.chain[level] === record && record.keys.every((key) => prev.params[key] === params[key])) {
+        return prev.data[level];
+      }
+      return record.loader({ params, request });
+    }),
+  );
+}
+
+/**
+ * view transition name of a route, from its name or else its path
+ * @param {Object} record - Route record
+ * @returns {string}
+ */
+function transitionName(record) {
+  // names are css identifiers, anything else in a route name or path becomes a dash
+  const name = (record.name ?? record.path).replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "");
+  return `route-${name || "root"}`;
+}
+
+/**
+ * create the outlet node for one level of the matched route chain
+ * the level only re-renders when its own route or params change, so layouts persist while
+ * navigating between their child routes
+ * @param {() => ({ chain: Array<Object>, params: Record<string, string>, path: string, data?: Array<any> }|null)} getMatch - Current match
+ * @param {number} [level=0] - Depth in the route chain
+ * @returns {Object} Outlet node
+ */
+export function renderRoutes(getMatch, level = 0) {
+  const view = knotMemo((prev) => {
+    const match = getMatch();
+    const record = match?.chain[level];
+    if (!record) return null;
+    const deepest = level === match.chain.length - 1;
+    const data = match.data?.[level];
+    // layouts keep their view while only a deeper level changed
+    if (prev && prev.record === record && prev.deepest === deepest && prev.data === data) {
+      if (deepest ? prev.path === match.path : record.keys.every((key) => prev.params[key] === match.params[key])) return prev;
+    }
+    return { record, params: match.params, path: match.path, deepest, data };
+  });
+  return {
+    boundary: "outlet",
+    transitionName: () => {
+      const current = view();
+      return current ? transitionName(current.record) : null;
+    },
+    render: () => {
+      const current = view();
+      if (!current) return null;
+      const { record, params, path, data } = current;
+      return RouteContext.Provider({
+        value: { outlet: () => renderRoutes(getMatch, level + 1), data },
+        children: () => (record.component ? record.component({ params, path }) : (record.element ?? null)),
+      });
+    },
+  };
+}
+
 /**
  * create a link component helper
  * @param {string} href - Lust href
@@ -151,3 +830,89 @@ export function buildQuery(params) {
   const query = searchParams.toString();
   return query ? `?${query}` : "";
 }
+
+/**
+ * parsers for useSearchParams(), each reads every value of its key and writes a value back as a list
+ * - string: first value, null when absent
+ * - number: first value as a number, null when absent or not a number
+ * - boolean: "false" and "0" are false, any other value (also a bare `?key`) is true, null when absent
+ * - array: every value of a repeated key (`?tag=a&tag=b`), [] when absent
+ * - json: first value parsed as JSON, null when absent or invalid
+ */
+export const searchParsers = {
+  string: {
+    parse: (values) => values[0] ?? null,
+    serialize: (value) => [String(value)],
+  },
+  number: {
+    parse: (values) => (values.length && values[0].trim() !== "" && !Number.isNaN(Number(values[0])) ? Number(values[0]) : null),
+    serialize: (value) => [String(value)],
+  },
+  boolean: {
+    parse: (values) => (values.length ? values[0] !== "false" && values[0] !== "0" : null),
+    serialize: (value) => [value ? "true" : "false"],
+  },
+  array: {
+    parse: (values) => values,
+    serialize: (value) => value.map(String),
+  },
+  json: {
+    parse: (values) => {
+      if (!values.length) return null;
+      try {
+        return JSON.parse(values[0]);
+      } catch {
+        return null;
+      }
+    },
+    serialize: (value) => [JSON.stringify(value)],
+  },
+};
+
+/**
+ * read and write search params of the page
+ * every key gets its own signal, which only notifies readers when that key's values change;
+ * setting them pushes (or replaces) a history entry without navigating, so guards and loaders don't run.
+ * on the server the params come from the request being rendered
+ * @param {Record<string, string|{ parse: (values: string[]) => any, serialize: (value: any) => string[] }>} schema - Parser
+ * per key, the name of one in searchParsers or a custom one
+ * @returns {[Record<string, () => any>, (updates: Record<string, any>|((current: Record<string, any>) => Record<string, any>), options?: { replace?: boolean }) => void]}
+ * Signals per key and a setter; setting a key to null or undefined removes it, keys left out keep their value
+ * @example
+ * const [params, setParams] = useSearchParams({ page: "number", tags: "array" });
+ * params.page() ?? 1;
+ * setParams({ page: 2 });
+ * setParams({ tags: ["new"], page: null }, { replace: true });
+ */
+export function useSearchParams(schema = {}) {
+  const source = activeSearch ?? { search: () => getTransfer()?.search ?? "", setSearch: () => {} };
+  const parsers = {};
+  const params = {};
+  for (const [key, parser] of Object.entries(schema)) {
+    parsers[key] = typeof parser === "string" ? searchParsers[parser] : parser;
+    if (!parsers[key]) throw new Error(`cumstack: unknown search param parser "${parser}" for "${key}"`);
+    const entry = knotMemo((prev) => {
+      const values = new URLSearchParams(source.search()).getAll(key);
+      const raw = JSON.stringify(values);
+      return prev?.raw === raw ? prev : { raw, value: parsers[key].parse(values) };
+    });
+    params[key] = () => entry().value;
+  }
+
+  const setParams = (updates, options = {}) => {
+    const query = new URLSearchParams(untrack(source.search));
+    if (typeof updates === "function") {
+      updates = updates(untrack(() => Object.fromEntries(Object.keys(params).map((key) => [key, params[key]()]))));
+    }
+    for (const [key, value] of Object.entries(updates)) {
+      const [first, ...rest] = value == null ? [] : parsers[key] ? parsers[key].serialize(value) : [String(value)];
+      // set() keeps the key where it was in the query string
+      if (first === undefined) query.delete(key);
+      else query.set(key, first);
+      for (const item of rest) query.append(key, item);
+    }
+    source.setSearch(query.toString(), options);
+  };
+
+  return [params, setParams];
+}
@@ -0,0 +1,207 @@
+/**
+ * cumstack Stores
+ * deeply reactive proxy stores with per-property tracking
+ */
+
+import { createMoan, batch } from "./reactivity.js";
+
+const $RAW = Symbol("cumstack-store-raw");
+const $KEYS = Symbol("cumstack-store-keys");
+
+// raw object -> read-only store proxy
+const proxies = new WeakMap();
+// raw object -> Map of property -> signal tuple
+const nodes = new WeakMap();
+
+/**
+ * check if a value can be wrapped in a store proxy
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isWrappable(value) {
+  if (value == null || typeof value !== "object") return false;
+  if (Array.isArray(value)) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * get the underlying object of a store proxy
+ * @template T
+ * @param {T} value - Store proxy or plain value
+ * @returns {T} Raw object
+ */
+export function unwrap(value) {
+  return (value && value[$RAW]) || value;
+}
+
+/**
+ * get or create the signal that tracks one property of a raw object
+ * @param {Object} target - Raw object
+ * @param {string|symbol} prop - Property key
+ * @param {any} value - Current value
+ * @returns {Array} Signal tuple
+ */
+function getNode(target, prop, value) {
+  let map = nodes.get(target);
+  if (!map) nodes.set(target, (map = new Map()));
+  let node = map.get(prop);
+  if (!node) map.set(prop, (node = createMoan(value)));
+  return node;
+}
+
+/**
+ * write a property on a raw object and notify its readers
+ * @param {Object} target - Raw object
+ * @param {string|symbol} prop - Property key
+ * @param {any} value - New value
+ * @param {boolean} [deleting] - Delete the property instead of setting it
+ */
+function setProperty(target, prop, value, deleting = false) {
+  if (!deleting && target[prop] === value) return;
+  const hadKey = Object.prototype.hasOwnProperty.call(target, prop);
+  const length = Array.isArray(target) ? target.length : undefined;
+  if (deleting) delete target[prop];
+  else target[prop] = value;
+  const map = nodes.get(target);
+  if (!map) return;
+  map.get(prop)?.[1](() => value);
+  if (length !== undefined && target.length !== length) map.get("length")?.[1](target.length);
+  if (hadKey === deleting) map.get($KEYS)?.[1]((version) => version + 1);
+}
+
+/**
+ * shallow-merge a plain object into a raw store object
+ * @param {Object} target - Raw object
+ * @param {Object} value - Values to merge
+ */
+function mergeStoreNode(target, value) {
+  for (const key of Object.keys(value)) setProperty(target, key, unwrap(value[key]));
+}
+
+const storeTraps = {
+  get(target, prop, receiver) {
+    if (prop === $RAW) return target;
+    const value = Reflect.get(target, prop, receiver);
+    if (typeof prop === "symbol") return value;
+    // track own data properties and missing ones (so adding them later notifies), not inherited methods
+    const own = Object.getOwnPropertyDescriptor(target, prop);
+    if (own ? !own.get : !(prop in target)) getNode(target, prop, value)[0]();
+    return isWrappable(value) ? wrap(value) : value;
+  },
+  has(target, prop) {
+    if (prop === $RAW) return true;
+    if (typeof prop !== "symbol") getNode(target, prop, target[prop])[0]();
+    return prop in target;
+  },
+  ownKeys(target) {
+    getNode(target, $KEYS, 0)[0]();
+    return Reflect.ownKeys(target);
+  },
+  set() {
+    console.warn("cumstack: store properties can only be changed through the store setter");
+    return true;
+  },
+  deleteProperty() {
+    console.warn("cumstack: store properties can only be changed through the store setter");
+    return true;
+  },
+};
+
+/**
+ * get the read-only store proxy for a raw object
+ * @param {Object} target - Raw object
+ * @returns {Proxy} Store proxy
+ */
+function wrap(target) {
+  let proxy = proxies.get(target);
+  if (!proxy) proxies.set(target, (proxy = new Proxy(target, storeTraps)));
+  return proxy;
+}
+
+/**
+ * apply a setter path to a raw object
+ * path parts are keys, arrays of keys, or filter functions (item, index) => boolean for arrays;
+ * the last part is the value or an updater (prev) => next
+ * @param {Object} current - Raw object at the current depth
+ * @param {Array} path - Remaining path parts
+ */
+function updatePath(current, path) {
+  let part;
+  let prev = current;
+  if (path.length > 1) {
+    part = path.shift();
+    if (Array.isArray(part)) {
+      for (const key of part) updatePath(current, [key, ...path]);
+      return;
+    }
+    if (typeof part === "function" && Array.isArray(current)) {
+      for (let i = 0; i < current.length; i++) if (part(current[i], i)) updatePath(current, [i, ...path]);
+      return;
+    }
+    if (path.length > 1) {
+      updatePath(current[part], path);
+      return;
+    }
+    prev = current[part];
+  }
+  let value = path[0];
+  if (typeof value === "function") {
+    value = value(prev);
+    if (value === prev) return;
+  }
+  value = unwrap(value);
+  if (part === undefined) {
+    if (isWrappable(value)) mergeStoreNode(current, value);
+  } else if (isWrappable(prev) && isWrappable(value) && !Array.isArray(value)) mergeStoreNode(prev, value);
+  else setProperty(current, part, value);
+}
+
+/**
+ * create a deeply reactive store
+ * reads of nested properties and array indices are tracked individually
+ * @template T
+ * @param {T} initial - Initial object or array
+ * @returns {[T, (...path: any[]) => void]} Tuple of [store proxy, setter]
+ * @example
+ * const [state, setState] = createStore({ user: { name: "Ada" }, todos: [] });
+ * setState("user", "name", "Grace");
+ * setState("todos", (todos) => [...todos, { title: "write docs", done: false }]);
+ * setState("todos", (todo) => !todo.done, "done", true);
+ * setState(produce((draft) => draft.todos.push({ title: "ship", done: false })));
+ */
+export function createStore(initial = {}) {
+  const raw = unwrap(initial);
+  if (!isWrappable(raw)) throw new Error("cumstack: createStore expects a plain object or array");
+  const setStore = (...path) => batch(() => updatePath(raw, path));
+  return [wrap(raw), setStore];
+}
+
+const draftTraps = {
+  get(target, prop) {
+    if (prop === $RAW) return target;
+    const value = target[prop];
+    return isWrappable(value) ? new Proxy(value, draftTraps) : value;
+  },
+  set(target, prop, value) {
+    setProperty(target, prop, unwrap(value));
+    return true;
+  },
+  deleteProperty(target, prop) {
+    setProperty(target, prop, undefined, true);
+    return true;
+  },
+};
+
+/**
+ * create a setter updater that applies mutations to a draft of the current value
+ * @template T
+ * @param {(draft: T) => void} fn - Function mutating the draft
+ * @returns {(prev: T) => T} Updater for the store setter
+ */
+export function produce(fn) {
+  return (prev) => {
+    if (isWrappable(prev)) fn(new Proxy(prev, draftTraps));
+    return prev;
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * cumstack State Transfer
+ * serialize keyed signals and resources on the server and revive them on the client
+ */
+
+// transfer state of the render currently running on the server
+let currentTransfer = null;
+// parsed cumstack-data payload on the client
+let initialData;
+
+/**
+ * create a transfer state for one server render
+ * @param {Request} [request] - Incoming request (its cookies are readable by cookie-backed signals)
+ * @returns {Object} Transfer state
+ */
+export function createTransferState(request = null) {
+  return {
+    values: {},
+    signals: new Map(),
+    pending: new Set(),
+    cookies: request?.headers.get("cookie") ?? "",
+    // query string read by useSearchParams()
+    search: request ? new URL(request.url).search : "",
+    loaderData: null,
+  };
+}
+
+/**
+ * run a render inside a transfer state
+ * keyed signals and resources created synchronously inside fn register with it
+ * @template T
+ * @param {Object} state - Transfer state
+ * @param {() => T} fn - Render function
+ * @returns {T} Result of the function
+ */
+export function runWithTransfer(state, fn) {
+  const prev = currentTransfer;
+  currentTransfer = state;
+  try {
+    return fn();
+  } finally {
+    currentTransfer = prev;
+  }
+}
+
+/**
+ * get the transfer state of the current server render
+ * @returns {Object|null} Transfer state
+ */
+export function getTransfer() {
+  return currentTransfer;
+}
+
+/**
+ * register a keyed signal getter to serialize once rendering is done
+ * @param {string} key - Transfer key
+ * @param {() => any} read - Signal getter
+ */
+export function registerTransfer(key, read) {
+  if (currentTransfer) currentTransfer.signals.set(key, read);
+}
+
+/**
+ * track a keyed resource request so the server can wait for it before rendering again
+ * @param {Object} state - Transfer state
+ * @param {string} key - Transfer key
+ * @param {Promise<any>} promise - Resource request
+ */
+export function trackTransfer(state, key, promise) {
+  const tracked = Promise.resolve(promise).then((value) => {
+    state.values[key] = value;
+  });
+  state.pending.add(tracked);
+  tracked.catch(() => {}).finally(() => state.pending.delete(tracked));
+}
+
+/**
+ * wait for every tracked resource request
+ * @param {Object} state - Transfer state
+ * @returns {Promise<boolean>} Whether anything was awaited (the page should be rendered again)
+ */
+export async function waitForTransfer(state) {
+  if (state.pending.size === 0) return false;
+  while (state.pending.size > 0) await Promise.allSettled([...state.pending]);
+  return true;
+}
+
+/**
+ * take a transferred value for a key
+ * on the server it comes from resources resolved in an earlier render pass; on the client from the
+ * cumstack-data script, and each key is revived only once
+ * @param {string} key - Transfer key
+ * @returns {{ value: any } | undefined} Wrapped value, or undefined when nothing was transferred
+ */
+export function takeTransferred(key) {
+  if (typeof window === "undefined") {
+    if (currentTransfer && key in currentTransfer.values) return { value: currentTransfer.values[key] };
+    return undefined;
+  }
+  const state = readInitialData()?.state;
+  if (!state || !(key in state)) return undefined;
+  const value = state[key];
+  delete state[key];
+  return { value };
+}
+
+/**
+ * escape JSON for embedding in an inline script
+ * @param {string} json - JSON string
+ * @returns {string} JSON safe against </script> and comment injection
+ */
+function escapeJSON(json) {
+  return json
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e")
+    .replace(/&/g, "\\u0026")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+/**
+ * serialize the cumstack-data payload
+ * @param {Object|null} state - Transfer state (null when nothing was rendered)
+ * @param {Object} [data] - Additional top-level data (language, theme)
+ * @returns {string} Escaped JSON
+ */
+export function serializeTransfer(state, data = {}) {
+  const values = { ...state?.values };
+  if (state) for (const [key, read] of state.signals) values[key] = read();
+  const payload = { ...data, state: values };
+  // route loader results, read by the client router instead of loading again
+  if (state?.loaderData) payload.loaderData = state.loaderData;
+  return escapeJSON(JSON.stringify(payload));
+}
+
+/**
+ * read the cumstack-data payload embedded by the server (client only, parsed once)
+ * @returns {Object|null} Parsed initial data or null
+ */
+export function readInitialData() {
+  if (initialData !== undefined) return initialData;
+  initialData = null;
+  if (typeof document === "undefined") return initialData;
+  const script = document.getElementById("cumstack-data");
+  if (script && script.textContent) {
+    try {
+      initialData = JSON.parse(script.textContent);
+    } catch (e) {
+      console.error("Failed to parse initial data:", e);
+    }
+  }
+  return initialData;
+}
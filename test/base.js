@@ -0,0 +1,93 @@
+/**
+ * cumstack Base Path Tests
+ * apps mounted under a sub-path
+ */
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setBasePath, getBasePath, withBase, stripBase } from "../src/app/shared/base.js";
+import { foxgirl, Route } from "../src/app/server.js";
+import { h } from "../src/app/server/jsx.js";
+
+afterEach(() => setBasePath(""));
+
+describe("setBasePath", () => {
+  it("normalizes to a leading slash without a trailing one", () => {
+    for (const [input, expected] of [
+      ["/app/", "/app"],
+      ["app", "/app"],
+      ["//shop/app//", "/shop/app"],
+      ["/", ""],
+      [undefined, ""],
+    ]) {
+      setBasePath(input);
+      assert.equal(getBasePath(), expected);
+    }
+  });
+});
+
+describe("withBase", () => {
+  it("prefixes app paths and leaves urls and relative hrefs alone", () => {
+    setBasePath("/app");
+    assert.equal(withBase("/"), "/app/");
+    assert.equal(withBase("/users/1?tab=posts"), "/app/users/1?tab=posts");
+    assert.equal(withBase("https://example.com/"), "https://example.com/");
+    assert.equal(withBase("//cdn.example.com/logo.png"), "//cdn.example.com/logo.png");
+    assert.equal(withBase("#section"), "#section");
+  });
+
+  it("returns paths unchanged at the root", () => {
+    assert.equal(withBase("/users"), "/users");
+  });
+});
+
+describe("stripBase", () => {
+  it("turns urls under the base path into app paths", () => {
+    setBasePath("/app");
+    assert.equal(stripBase("/app"), "/");
+    assert.equal(stripBase("/app/"), "/");
+    assert.equal(stripBase("/app/users/1"), "/users/1");
+    assert.equal(stripBase("/app?tab=1"), "/?tab=1");
+    assert.equal(stripBase("/app#top"), "/#top");
+  });
+
+  it("returns null outside the base path", () => {
+    setBasePath("/app");
+    assert.equal(stripBase("/"), null);
+    assert.equal(stripBase("/application"), null);
+    assert.equal(stripBase("/other/app"), null);
+  });
+
+  it("returns paths unchanged at the root", () => {
+    assert.equal(stripBase("/users"), "/users");
+  });
+});
+
+describe("foxgirl basePath", () => {
+  const app = () => [
+    Route({ path: "/", component: () => h("p", {}, "home") }),
+    Route({ path: "/users/:id", component: ({ params }) => h("p", {}, `user ${params.id}`) }),
+  ];
+  const fetch = foxgirl(app, { basePath: "/app/", routes: (hono) => hono.get("/api/ping", (c) => c.text("pong")) });
+  const get = async (path) => {
+    const response = await fetch(new Request(`http://localhost${path}`));
+    return { status: response.status, html: await response.text() };
+  };
+
+  it("serves pages and custom routes under the base path", async () => {
+    setBasePath("/app");
+    const home = await get("/app");
+    assert.equal(home.status, 200);
+    assert.match(home.html, /<p>home<\/p>/);
+    assert.match(home.html, /src="\/app\/main\.client\.js"/);
+    assert.match(home.html, /"basePath":"\/app"/);
+    assert.match((await get("/app/users/7")).html, /<p>user 7<\/p>/);
+    assert.equal((await get("/app/api/ping")).html, "pong");
+  });
+
+  it("answers 404 outside the base path", async () => {
+    setBasePath("/app");
+    assert.equal((await get("/users/7")).status, 404);
+    assert.equal((await get("/application")).status, 404);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * cumstack Boundary Tests
+ * Suspense and ErrorBoundary in the server renderer
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Suspense, ErrorBoundary } from "../src/app/shared/boundaries.js";
+import { loadShot } from "../src/app/shared/reactivity.js";
+import { h, renderToString } from "../src/app/server/jsx.js";
+import { foxgirl, Route } from "../src/app/server.js";
+
+/**
+ * component reading a resource that resolves on the next tick
+ * @returns {Object} Element
+ */
+function Profile() {
+  const user = loadShot(() => new Promise((resolve) => setTimeout(() => resolve("Ada"))));
+  return h("p", {}, user.data() ?? "no user");
+}
+
+describe("Suspense", () => {
+  it("wait for the resources read inside and render them in a boundary element", async () => {
+    const html = await renderToString(
+      h(
+        "main",
+        {},
+        h(Suspense, { fallback: "loading" }, () => h(Profile)),
+      ),
+    );
+    assert.equal(html, '<main><div data-cumstack-boundary="suspense" style="display: contents"><p>Ada</p></div></main>');
+  });
+
+  it("render a page with its resources through foxgirl", async () => {
+    const fetch = foxgirl(() => [Route({ path: "/", component: () => h(Suspense, { fallback: "loading" }, () => h(Profile)) })]);
+    const html = await (await fetch(new Request("http://localhost/"))).text();
+    assert.match(html, /<div data-cumstack-boundary="suspense" style="display: contents"><p>Ada<\/p><\/div>/);
+  });
+});
+
+describe("ErrorBoundary", () => {
+  /**
+   * component failing to render
+   */
+  function Broken() {
+    throw new Error("broken");
+  }
+
+  it("render the fallback with the error when the children throw", async () => {
+    const fallback = (err) => h("p", { role: "alert" }, err.message);
+    const html = await renderToString(
+      h(
+        "main",
+        {},
+        h(ErrorBoundary, { fallback }, () => h(Broken)),
+      ),
+    );
+    assert.equal(html, '<main><div data-cumstack-boundary="error" style="display: contents"><p role="alert">broken</p></div></main>');
+  });
+
+  it("render the children when nothing throws", async () => {
+    const html = await renderToString(h(ErrorBoundary, { fallback: "failed" }, () => h("p", {}, "fine")));
+    assert.equal(html, '<div data-cumstack-boundary="error" style="display: contents"><p>fine</p></div>');
+  });
+});
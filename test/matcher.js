@@ -0,0 +1,98 @@
+/**
+ * cumstack Matcher Tests
+ * route ranking, param syntax and path building
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createMatcher, parsePattern, buildPath } from "../src/app/shared/matcher.js";
+
+/**
+ * create a matcher with a route for every pattern, each matching its own pattern
+ * @param {string[]} patterns - Route patterns
+ * @returns {Object} Matcher
+ */
+function matcherFor(patterns) {
+  const matcher = createMatcher();
+  for (const pattern of patterns) matcher.add(pattern, pattern);
+  return matcher;
+}
+
+describe("createMatcher", () => {
+  it("ranks static segments over params over splats, regardless of registration order", () => {
+    const matcher = matcherFor(["/users/*", "/users/:id", "/users/new"]);
+    assert.equal(matcher.match("/users/new").value, "/users/new");
+    assert.deepEqual(matcher.match("/users/42").params, { id: "42" });
+    assert.deepEqual(matcher.match("/users/42/posts").params, { "*": "42/posts" });
+  });
+
+  it("backtracks when a more specific branch has no route for the rest of the path", () => {
+    const matcher = matcherFor(["/users/new/draft", "/users/:id/edit"]);
+    assert.deepEqual(matcher.match("/users/new/edit"), { value: "/users/:id/edit", params: { id: "new" }, pattern: "/users/:id/edit" });
+  });
+
+  it("matches optional params with and without the segment", () => {
+    const matcher = matcherFor(["/docs/:slug?"]);
+    assert.deepEqual(matcher.match("/docs").params, {});
+    assert.deepEqual(matcher.match("/docs/intro").params, { slug: "intro" });
+    assert.equal(matcher.match("/docs/intro/more"), null);
+  });
+
+  it("keeps a route written out in full over the shorter form of an optional one", () => {
+    const matcher = matcherFor(["/docs", "/docs/:slug?"]);
+    assert.equal(matcher.match("/docs").value, "/docs");
+    assert.equal(matcher.match("/docs/intro").value, "/docs/:slug?");
+  });
+
+  it("tries constrained params before plain ones", () => {
+    const matcher = matcherFor(["/post/:slug", "/post/:id(\\d+)"]);
+    assert.deepEqual(matcher.match("/post/42"), { value: "/post/:id(\\d+)", params: { id: "42" }, pattern: "/post/:id(\\d+)" });
+    assert.deepEqual(matcher.match("/post/hello").params, { slug: "hello" });
+  });
+
+  it("captures named splats", () => {
+    const matcher = matcherFor(["/files/*path"]);
+    assert.deepEqual(matcher.match("/files/a/b%20c.txt").params, { path: "a/b c.txt" });
+  });
+
+  it("decodes captured values", () => {
+    const matcher = matcherFor(["/tags/:tag"]);
+    assert.deepEqual(matcher.match("/tags/caf%C3%A9").params, { tag: "café" });
+    assert.deepEqual(matcher.match("/tags/%E0%A4%A").params, { tag: "%E0%A4%A" });
+  });
+
+  it("returns null without a match and replaces routes added twice", () => {
+    const matcher = createMatcher();
+    matcher.add("/about", "first");
+    matcher.add("/about", "second");
+    assert.equal(matcher.match("/contact"), null);
+    assert.equal(matcher.match("/about").value, "second");
+    assert.deepEqual([...matcher.routes()], [["/about", "second"]]);
+  });
+});
+
+describe("parsePattern", () => {
+  it("lists the keys of params and splats", () => {
+    assert.deepEqual(parsePattern("/users/:id/files/*path").keys, ["id", "path"]);
+    assert.deepEqual(parsePattern("/docs/:slug?/*").keys, ["slug", "*"]);
+  });
+});
+
+describe("buildPath", () => {
+  it("fills params, leaves out missing optional ones and encodes values", () => {
+    assert.equal(buildPath("/post/:id(\\d+)", { id: 42 }), "/post/42");
+    assert.equal(buildPath("/docs/:slug?"), "/docs");
+    assert.equal(buildPath("/tags/:tag", { tag: "a b/c" }), "/tags/a%20b%2Fc");
+    assert.equal(buildPath("/files/*path", { path: "a/b c.txt" }), "/files/a/b%20c.txt");
+  });
+
+  it("throws on missing or invalid params in strict mode", () => {
+    assert.throws(() => buildPath("/users/:id"), /missing param "id"/);
+    assert.throws(() => buildPath("/post/:id(\\d+)", { id: "abc" }), /does not match/);
+  });
+
+  it("leaves out missing params and skips constraints otherwise", () => {
+    assert.equal(buildPath("/users/:id/posts", {}, false), "/users/posts");
+    assert.equal(buildPath("/post/:id(\\d+)", { id: "abc" }, false), "/post/abc");
+  });
+});
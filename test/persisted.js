@@ -0,0 +1,87 @@
+/**
+ * cumstack Persisted Signal Tests
+ * storages, cookie reads during server renders and cross-tab sync
+ */
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createPersistedMoan } from "../src/app/shared/persisted.js";
+import { createRoot } from "../src/app/shared/reactivity.js";
+import { createTransferState, runWithTransfer } from "../src/app/shared/transfer.js";
+
+/**
+ * create a Storage-like object kept in memory
+ * @param {Record<string, string>} [items] - Stored strings
+ * @returns {Object} Storage
+ */
+function memoryStorage(items = {}) {
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => (items[key] = String(value)),
+    removeItem: (key) => delete items[key],
+  };
+}
+
+afterEach(() => {
+  delete globalThis.window;
+  delete globalThis.localStorage;
+});
+
+describe("createPersistedMoan", () => {
+  it("read and write the stored value", () => {
+    const storage = memoryStorage({ cart: '["apple"]' });
+    const [cart, setCart] = createPersistedMoan("cart", [], { storage });
+    assert.deepEqual(cart(), ["apple"]);
+    setCart((items) => [...items, "pear"]);
+    assert.equal(storage.items.cart, '["apple","pear"]');
+    setCart(undefined);
+    assert.equal("cart" in storage.items, false);
+  });
+
+  it("use custom serializers and fall back to the initial value for unreadable data", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const storage = memoryStorage({ count: "not json", size: "12" });
+    assert.equal(createPersistedMoan("count", 0, { storage })[0](), 0);
+    assert.equal(warn.mock.callCount(), 1);
+    const [size, setSize] = createPersistedMoan("size", 0, { storage, serialize: String, deserialize: Number });
+    assert.equal(size(), 12);
+    setSize(14);
+    assert.equal(storage.items.size, "14");
+  });
+
+  it("read cookies of the request during a server render", () => {
+    const request = new Request("http://localhost/", { headers: { cookie: "session=1; theme=%22dark%22" } });
+    const [theme, setTheme] = runWithTransfer(createTransferState(request), () =>
+      createPersistedMoan("theme", "light", { storage: "cookie" }),
+    );
+    assert.equal(theme(), "dark");
+    setTheme("blue");
+    assert.equal(theme(), "blue");
+    assert.equal(createPersistedMoan("theme", "light", { storage: "cookie" })[0](), "light");
+  });
+
+  it("keep the initial value for web storage on the server", () => {
+    const [count, setCount] = createPersistedMoan("count", 1);
+    assert.equal(count(), 1);
+    setCount(2);
+    assert.equal(count(), 2);
+  });
+
+  it("follow localStorage changes made in other tabs until disposed", () => {
+    globalThis.window = new EventTarget();
+    globalThis.localStorage = memoryStorage({ theme: '"light"' });
+    const [theme, dispose] = createRoot((dispose) => [createPersistedMoan("theme", "light")[0], dispose]);
+    const change = (key, newValue) =>
+      window.dispatchEvent(Object.assign(new Event("storage"), { key, newValue, storageArea: localStorage }));
+    change("theme", '"dark"');
+    assert.equal(theme(), "dark");
+    change("other", '"blue"');
+    assert.equal(theme(), "dark");
+    change("theme", null);
+    assert.equal(theme(), "light");
+    dispose();
+    change("theme", '"dark"');
+    assert.equal(theme(), "light");
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * cumstack Primitive Tests
+ * timer and browser state signals, in the browser and with their server defaults
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import * as server from "../src/app/shared/primitives.js";
+import { createRoot, createMoan } from "../src/app/shared/reactivity.js";
+
+describe("on the server", () => {
+  it("return fixed defaults and start no timers", () => {
+    const [query] = createMoan("cats");
+    assert.equal(server.createDebounced(query, 300), query);
+    assert.equal(server.createThrottled(query, 300), query);
+    assert.equal(server.createMediaQuery("(max-width: 640px)", true)(), true);
+    assert.deepEqual(server.createWindowSize({ width: 1280, height: 720 })(), { width: 1280, height: 720 });
+    assert.equal(server.createOnline()(), true);
+    assert.equal(server.createVisibility()(), true);
+    let runs = 0;
+    server.createInterval(() => runs++, 1)();
+    assert.equal(runs, 0);
+  });
+});
+
+describe("in the browser", () => {
+  let browser;
+  let media;
+  // Node 21+ defines navigator itself
+  const navigator = Object.getOwnPropertyDescriptor(globalThis, "navigator");
+
+  before(async () => {
+    globalThis.window = Object.assign(new EventTarget(), {
+      innerWidth: 1024,
+      innerHeight: 768,
+      matchMedia: (query) => (media = Object.assign(new EventTarget(), { query, matches: false })),
+    });
+    globalThis.document = Object.assign(new EventTarget(), { visibilityState: "visible" });
+    Object.defineProperty(globalThis, "navigator", { value: { onLine: true }, configurable: true, writable: true });
+    // a second instance of the module, evaluated with a window
+    browser = await import("../src/app/shared/primitives.js?browser");
+  });
+
+  after(() => {
+    delete globalThis.window;
+    delete globalThis.document;
+    if (navigator) Object.defineProperty(globalThis, "navigator", navigator);
+    else delete globalThis.navigator;
+  });
+
+  it("debounce a signal until it stopped changing", (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const [query, setQuery] = createMoan("");
+    const search = createRoot(() => browser.createDebounced(query, 300));
+    setQuery("c");
+    t.mock.timers.tick(200);
+    setQuery("ca");
+    t.mock.timers.tick(299);
+    assert.equal(search(), "");
+    t.mock.timers.tick(1);
+    assert.equal(search(), "ca");
+  });
+
+  it("throttle a signal and end on the latest value", (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 1000 });
+    const [position, setPosition] = createMoan(0);
+    const throttled = createRoot(() => browser.createThrottled(position, 100));
+    setPosition(1);
+    assert.equal(throttled(), 1);
+    setPosition(2);
+    setPosition(3);
+    assert.equal(throttled(), 1);
+    t.mock.timers.tick(100);
+    assert.equal(throttled(), 3);
+  });
+
+  it("restart an interval when its delay changes and pause it for null", (t) => {
+    t.mock.timers.enable({ apis: ["setInterval"] });
+    const [delay, setDelay] = createMoan(100);
+    let runs = 0;
+    const stop = createRoot(() => browser.createInterval(() => runs++, delay));
+    t.mock.timers.tick(250);
+    assert.equal(runs, 2);
+    setDelay(null);
+    t.mock.timers.tick(1000);
+    assert.equal(runs, 2);
+    setDelay(50);
+    t.mock.timers.tick(100);
+    assert.equal(runs, 4);
+    stop();
+    t.mock.timers.tick(100);
+    assert.equal(runs, 4);
+  });
+
+  it("follow browser state until the scope is disposed", () => {
+    const [state, dispose] = createRoot((dispose) => [
+      {
+        mobile: browser.createMediaQuery("(max-width: 640px)"),
+        size: browser.createWindowSize(),
+        online: browser.createOnline(),
+        visible: browser.createVisibility(),
+      },
+      dispose,
+    ]);
+    assert.equal(media.query, "(max-width: 640px)");
+    media.dispatchEvent(Object.assign(new Event("change"), { matches: true }));
+    Object.assign(window, { innerWidth: 375, innerHeight: 667 });
+    window.dispatchEvent(new Event("resize"));
+    window.dispatchEvent(new Event("offline"));
+    document.visibilityState = "hidden";
+    document.dispatchEvent(new Event("visibilitychange"));
+    assert.equal(state.mobile(), true);
+    assert.deepEqual(state.size(), { width: 375, height: 667 });
+    assert.equal(state.online(), false);
+    assert.equal(state.visible(), false);
+    dispose();
+    window.dispatchEvent(new Event("online"));
+    assert.equal(state.online(), false);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * cumstack Query Tests
+ * the keyed query cache on the client and optimistic mutations
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createQuery, invalidate, createMutation } from "../src/app/shared/query.js";
+import { createRoot, createMoan, loadShot } from "../src/app/shared/reactivity.js";
+
+/**
+ * wait until queued fetches and the promises they chain ran
+ */
+const tick = () => new Promise((resolve) => setTimeout(resolve));
+
+/**
+ * create a fetcher that answers with the current value of a key and counts its calls
+ * @param {Record<string, any>} values - Values by the first key part
+ * @returns {Function & { calls: Array[] }} Fetcher, with the keys it was called with
+ */
+function serverFor(values) {
+  const fetcher = async (_signal, key) => {
+    fetcher.calls.push(key);
+    return values[key[0]];
+  };
+  fetcher.calls = [];
+  return fetcher;
+}
+
+/**
+ * run queries in a root, so their cache entries are released again
+ * @template T
+ * @param {() => T} fn - Function creating queries
+ * @returns {[T, () => void]} Result and dispose function
+ */
+const scoped = (fn) => createRoot((dispose) => [fn(), dispose]);
+
+// queries cache only in the browser
+before(() => {
+  globalThis.window = new EventTarget();
+  globalThis.document = Object.assign(new EventTarget(), { visibilityState: "visible" });
+});
+after(() => {
+  delete globalThis.window;
+  delete globalThis.document;
+});
+
+describe("createQuery", () => {
+  it("share one request between queries with the same key", async () => {
+    const fetcher = serverFor({ dedup: "value" });
+    const [[a, b], dispose] = scoped(() => [
+      createQuery("dedup", fetcher, { cacheTime: 0 }),
+      createQuery(["dedup"], fetcher, { cacheTime: 0 }),
+    ]);
+    await tick();
+    assert.deepEqual(fetcher.calls, [["dedup"]]);
+    assert.equal(a.data(), "value");
+    assert.equal(b.data(), "value");
+    dispose();
+  });
+
+  it("show cached data right away and revalidate it in the background once stale", async () => {
+    const values = { swr: "v1" };
+    const fetcher = serverFor(values);
+    const [first, disposeFirst] = scoped(() => createQuery("swr", fetcher, { cacheTime: 0 }));
+    await tick();
+    values.swr = "v2";
+    const [second, disposeSecond] = scoped(() => createQuery("swr", fetcher, { cacheTime: 0 }));
+    assert.equal(second.data(), "v1");
+    await tick();
+    assert.equal(second.data(), "v2");
+    assert.equal(first.data(), "v2");
+    assert.equal(fetcher.calls.length, 2);
+    disposeFirst();
+    disposeSecond();
+  });
+
+  it("reuse data younger than staleTime without fetching", async () => {
+    const fetcher = serverFor({ fresh: "value" });
+    const [, disposeFirst] = scoped(() => createQuery("fresh", fetcher, { staleTime: 60_000, cacheTime: 0 }));
+    await tick();
+    const [second, disposeSecond] = scoped(() => createQuery("fresh", fetcher, { staleTime: 60_000, cacheTime: 0 }));
+    await tick();
+    assert.equal(second.data(), "value");
+    assert.deepEqual(fetcher.calls, [["fresh"]]);
+    disposeFirst();
+    disposeSecond();
+  });
+
+  it("refetch queries matching an invalidated key prefix", async () => {
+    const fetcher = serverFor({ todos: "todos", users: "users" });
+    const options = { staleTime: 60_000, cacheTime: 0 };
+    const [, dispose] = scoped(() => [
+      createQuery(["todos", 1], fetcher, options),
+      createQuery(["todos", { done: true }], fetcher, options),
+      createQuery(["users"], fetcher, options),
+    ]);
+    await tick();
+    fetcher.calls.length = 0;
+    invalidate(["todos"]);
+    await tick();
+    assert.deepEqual(fetcher.calls, [
+      ["todos", 1],
+      ["todos", { done: true }],
+    ]);
+    dispose();
+  });
+
+  it("revalidate stale queries when the tab becomes visible", async () => {
+    const fetcher = serverFor({ focus: "value" });
+    const [, dispose] = scoped(() => [
+      createQuery("focus", fetcher, { cacheTime: 0 }),
+      createQuery("focus-off", fetcher, { cacheTime: 0, refetchOnFocus: false }),
+    ]);
+    await tick();
+    fetcher.calls.length = 0;
+    document.dispatchEvent(new Event("visibilitychange"));
+    await tick();
+    assert.deepEqual(fetcher.calls, [["focus"]]);
+    dispose();
+  });
+
+  it("follow a reactive key and keep the cache per key", async () => {
+    const [id, setId] = createMoan(1);
+    const fetcher = async (_signal, key) => `user ${key[1]}`;
+    const [user, dispose] = scoped(() => createQuery(() => ["user", id()], fetcher, { staleTime: 60_000, cacheTime: 50 }));
+    await tick();
+    assert.equal(user.data(), "user 1");
+    setId(2);
+    await tick();
+    assert.equal(user.data(), "user 2");
+    setId(1);
+    assert.equal(user.data(), "user 1");
+    dispose();
+  });
+});
+
+/**
+ * create a request that settles when the test says so
+ * @returns {{ promise: Promise, resolve: Function, reject: Function }} Deferred request
+ */
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => ((resolve = res), (reject = rej)));
+  return { promise, resolve, reject };
+}
+
+describe("createMutation", () => {
+  it("show the local value while pending and keep it on success", async () => {
+    const [post, dispose] = scoped(() => loadShot(async () => ({ liked: false })));
+    await tick();
+    const request = deferred();
+    const like = createMutation(post, () => request.promise);
+    const done = like.mutate({ liked: true });
+    assert.deepEqual(post.data(), { liked: true });
+    assert.equal(like.pending(), true);
+    request.resolve("ok");
+    assert.equal(await done, "ok");
+    assert.deepEqual(post.data(), { liked: true });
+    assert.equal(like.pending(), false);
+    dispose();
+  });
+
+  it("keep the committed server value", async () => {
+    const [count, dispose] = scoped(() => loadShot(async () => 1));
+    await tick();
+    const increment = createMutation(count, async () => 10, { commit: (result) => result });
+    await increment.mutate(2);
+    assert.equal(count.data(), 10);
+    dispose();
+  });
+
+  it("roll back and expose the error when the request fails", async () => {
+    const [post, dispose] = scoped(() => loadShot(async () => "saved"));
+    await tick();
+    const failures = [];
+    const save = createMutation(
+      post,
+      async () => {
+        throw new Error("offline");
+      },
+      { onError: (err, localValue) => failures.push([err.message, localValue]) },
+    );
+    assert.equal(await save.mutate("draft"), undefined);
+    assert.equal(post.data(), "saved");
+    assert.equal(save.error().message, "offline");
+    assert.deepEqual(failures, [["offline", "draft"]]);
+    save.reset();
+    assert.equal(save.error(), null);
+    dispose();
+  });
+
+  it("skip the rollback once a later mutation replaced the value", async () => {
+    const [post, dispose] = scoped(() => loadShot(async () => "saved"));
+    await tick();
+    const first = deferred();
+    const second = deferred();
+    const requests = [first, second];
+    const save = createMutation(post, () => requests.shift().promise);
+    const firstDone = save.mutate("first");
+    const secondDone = save.mutate("second");
+    first.reject(new Error("conflict"));
+    await firstDone;
+    assert.equal(post.data(), "second");
+    assert.equal(save.pending(), true);
+    second.resolve("ok");
+    await secondDone;
+    assert.equal(post.data(), "second");
+    assert.equal(save.pending(), false);
+    dispose();
+  });
+
+  it("invalidate queries after a successful request", async () => {
+    const fetcher = serverFor({ likes: 1 });
+    const [likes, dispose] = scoped(() => createQuery("likes", fetcher, { staleTime: 60_000, cacheTime: 0 }));
+    await tick();
+    const like = createMutation(likes, async () => "ok", { invalidate: "likes" });
+    await like.mutate(2);
+    await tick();
+    assert.equal(fetcher.calls.length, 2);
+    assert.equal(likes.data(), 1);
+    dispose();
+  });
+});
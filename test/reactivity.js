@@ -0,0 +1,458 @@
+/**
+ * cumstack Reactivity Tests
+ * owner scopes, dependency tracking, scheduling, errors, context, selectors and interop of the signal core
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createRoot,
+  createMoan,
+  onClimax,
+  onCleanup,
+  knotMemo,
+  loadShot,
+  batch,
+  untrack,
+  createContext,
+  useContext,
+  runWithContext,
+  catchError,
+  onError,
+  onReactiveError,
+  createSelector,
+  from,
+  toAsyncIterator,
+} from "../src/app/shared/reactivity.js";
+import { Suspense } from "../src/app/shared/boundaries.js";
+import { h, renderToString } from "../src/app/server/jsx.js";
+
+describe("owner scopes", () => {
+  it("dispose effects created inside an effect when it re-runs", () => {
+    const [outer, setOuter] = createMoan(0);
+    const [inner, setInner] = createMoan(0);
+    const runs = [];
+    createRoot(() =>
+      onClimax(() => {
+        const round = outer();
+        onClimax(() => runs.push(`${round}:${inner()}`));
+      }),
+    );
+    setOuter(1);
+    setInner(1);
+    assert.deepEqual(runs, ["0:0", "1:0", "1:1"]);
+  });
+
+  it("stop effects, memos and cleanups when the root is disposed", () => {
+    const [count, setCount] = createMoan(0);
+    const log = [];
+    const dispose = createRoot((dispose) => {
+      const doubled = knotMemo(() => count() * 2);
+      onClimax(() => {
+        log.push(doubled());
+        onCleanup(() => log.push("cleanup"));
+      });
+      return dispose;
+    });
+    setCount(1);
+    dispose();
+    setCount(2);
+    assert.deepEqual(log, [0, "cleanup", 2, "cleanup"]);
+  });
+
+  it("abort resources with their scope", () => {
+    let abortSignal = null;
+    const dispose = createRoot((dispose) => {
+      loadShot(
+        (signal) => {
+          abortSignal = signal;
+          return new Promise(() => {});
+        },
+        () => 1,
+      );
+      return dispose;
+    });
+    assert.equal(abortSignal.aborted, false);
+    dispose();
+    assert.equal(abortSignal.aborted, true);
+  });
+
+  it("return the result of the root function", () => {
+    assert.equal(
+      createRoot(() => "value"),
+      "value",
+    );
+  });
+});
+
+describe("dependency tracking", () => {
+  it("unsubscribe from signals an effect stopped reading", () => {
+    const [toggle, setToggle] = createMoan(true);
+    const [a, setA] = createMoan(0);
+    const [b, setB] = createMoan(0);
+    let runs = 0;
+    onClimax(() => {
+      runs++;
+      toggle() ? a() : b();
+    });
+    setToggle(false);
+    setA(1);
+    assert.equal(runs, 2);
+    setB(1);
+    assert.equal(runs, 3);
+  });
+
+  it("unsubscribe memos from stale branches", () => {
+    const [toggle, setToggle] = createMoan(true);
+    const [a, setA] = createMoan(1);
+    let computed = 0;
+    const value = knotMemo(() => {
+      computed++;
+      return toggle() ? a() : 0;
+    });
+    onClimax(() => value());
+    setToggle(false);
+    setA(2);
+    assert.equal(computed, 2);
+  });
+
+  it("stop a disposed effect", () => {
+    const [count, setCount] = createMoan(0);
+    let runs = 0;
+    const dispose = onClimax(() => {
+      count();
+      runs++;
+    });
+    dispose();
+    setCount(1);
+    assert.equal(runs, 1);
+  });
+});
+
+describe("push-pull propagation", () => {
+  it("run an effect once per change through a diamond, without glitches", () => {
+    const [count, setCount] = createMoan(1);
+    const double = knotMemo(() => count() * 2);
+    const triple = knotMemo(() => count() * 3);
+    const seen = [];
+    onClimax(() => seen.push([count(), double(), triple()]));
+    setCount(2);
+    assert.deepEqual(seen, [
+      [1, 2, 3],
+      [2, 4, 6],
+    ]);
+  });
+
+  it("compute memos lazily, only when read", () => {
+    const [count, setCount] = createMoan(1);
+    let computed = 0;
+    const double = knotMemo(() => {
+      computed++;
+      return count() * 2;
+    });
+    assert.equal(computed, 0);
+    setCount(2);
+    assert.equal(double(), 4);
+    assert.equal(double(), 4);
+    assert.equal(computed, 1);
+  });
+
+  it("stop at memos whose value did not change", () => {
+    const [count, setCount] = createMoan(1);
+    const parity = knotMemo(() => count() % 2);
+    let runs = 0;
+    onClimax(() => {
+      parity();
+      runs++;
+    });
+    setCount(3);
+    assert.equal(runs, 1);
+    setCount(4);
+    assert.equal(runs, 2);
+  });
+
+  it("run effects once at the end of a batch", () => {
+    const [a, setA] = createMoan(0);
+    const [b, setB] = createMoan(0);
+    const seen = [];
+    onClimax(() => seen.push(a() + b()));
+    batch(() => {
+      setA(1);
+      setB(2);
+      assert.deepEqual(seen, [0]);
+    });
+    assert.deepEqual(seen, [0, 3]);
+  });
+
+  it("not subscribe to signals read in untrack", () => {
+    const [a, setA] = createMoan(0);
+    let runs = 0;
+    onClimax(() => {
+      untrack(a);
+      runs++;
+    });
+    setA(1);
+    assert.equal(runs, 1);
+  });
+});
+
+describe("context", () => {
+  const Theme = createContext("light");
+
+  it("read the default value outside a provider", () => {
+    assert.equal(useContext(Theme), "light");
+  });
+
+  it("read the closest provided value, also in effects created below it", () => {
+    const [count, setCount] = createMoan(0);
+    const seen = [];
+    createRoot(() =>
+      runWithContext(Theme, "dark", () => {
+        runWithContext(Theme, "blue", () => seen.push(useContext(Theme)));
+        onClimax(() => seen.push(`${useContext(Theme)} ${count()}`));
+      }),
+    );
+    setCount(1);
+    assert.deepEqual(seen, ["blue", "dark 0", "dark 1"]);
+    assert.equal(useContext(Theme), "light");
+  });
+
+  it("keep the value of each server render, across suspense passes", async () => {
+    function Themed() {
+      const ready = loadShot(() => new Promise((resolve) => setTimeout(() => resolve(true))));
+      return h("p", {}, `${useContext(Theme)} ${ready.data() ? "ready" : "loading"}`);
+    }
+    const page = (value) => h(Theme.Provider, { value }, () => h(Suspense, {}, () => h(Themed)));
+    const [dark, blue] = await Promise.all([renderToString(page("dark")), renderToString(page("blue"))]);
+    assert.match(dark, /<p>dark ready<\/p>/);
+    assert.match(blue, /<p>blue ready<\/p>/);
+  });
+});
+
+describe("errors", () => {
+  /**
+   * collect the errors passed to the global hooks while a test runs
+   * @param {import("node:test").TestContext} t - Test context
+   * @returns {Array<[any, { handled: boolean }]>} Reported errors
+   */
+  function reported(t) {
+    const errors = [];
+    t.after(onReactiveError((err, info) => errors.push([err, info])));
+    return errors;
+  }
+
+  it("stop an effect that keeps re-running itself and report it", (t) => {
+    const errors = reported(t);
+    const [count, setCount] = createMoan(0);
+    onClimax(function increment() {
+      setCount(count() + 1);
+    });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0][0].message, /maximum update depth exceeded.*increment -> increment/);
+    assert.equal(errors[0][1].handled, false);
+    // later writes schedule the effect again
+    const before = count();
+    setCount(before + 10);
+    assert.ok(count() > before + 10);
+  });
+
+  it("name the effects that re-run each other", (t) => {
+    const errors = reported(t);
+    const [a, setA] = createMoan(0);
+    const [b, setB] = createMoan(0);
+    onClimax(function ping() {
+      setB(a() + 1);
+    });
+    onClimax(function pong() {
+      setA(b() + 1);
+    });
+    assert.equal(errors.length, 1);
+    assert.deepEqual(errors[0][0].chain.slice(-2), ["ping", "pong"]);
+  });
+
+  it("pass effect errors to the closest scope handler and then to the hooks", (t) => {
+    const errors = reported(t);
+    const [count, setCount] = createMoan(0);
+    const handled = [];
+    catchError(
+      () =>
+        onClimax(() => {
+          if (count() > 0) throw new Error("effect failed");
+        }),
+      (err) => handled.push(err.message),
+    );
+    setCount(1);
+    assert.deepEqual(handled, ["effect failed"]);
+    assert.deepEqual(
+      errors.map(([err, info]) => [err.message, info.handled]),
+      [["effect failed", true]],
+    );
+  });
+
+  it("pass errors thrown by a handler to the scope above", (t) => {
+    reported(t);
+    const seen = [];
+    createRoot(() => {
+      onError((err) => seen.push(`outer ${err.message}`));
+      catchError(
+        () =>
+          onClimax(() => {
+            throw new Error("first");
+          }),
+        () => {
+          throw new Error("second");
+        },
+      );
+    });
+    assert.deepEqual(seen, ["outer second"]);
+  });
+
+  it("log errors nothing handled when no hook is registered", (t) => {
+    const log = t.mock.method(console, "error", () => {});
+    onClimax(() => {
+      throw new Error("unhandled");
+    });
+    assert.equal(log.mock.callCount(), 1);
+    assert.equal(log.mock.calls[0].arguments[1].message, "unhandled");
+  });
+});
+
+describe("createSelector", () => {
+  /**
+   * create one effect per row reading whether it is selected
+   * @param {(key: any) => boolean} isSelected - Selector
+   * @param {Array} keys - Row keys
+   * @returns {Map<any, number>} Runs per key
+   */
+  function rows(isSelected, keys) {
+    const runs = new Map();
+    for (const key of keys) {
+      onClimax(() => {
+        isSelected(key);
+        runs.set(key, (runs.get(key) ?? 0) + 1);
+      });
+    }
+    return runs;
+  }
+
+  it("re-run only the rows whose selection changed", () => {
+    const [selected, setSelected] = createMoan(1);
+    const isSelected = createSelector(selected);
+    const runs = rows(isSelected, [1, 2, 3, 4]);
+    setSelected(3);
+    assert.deepEqual(
+      [...runs],
+      [
+        [1, 2],
+        [2, 1],
+        [3, 2],
+        [4, 1],
+      ],
+    );
+    assert.equal(isSelected(3), true);
+    assert.equal(isSelected(1), false);
+  });
+
+  it("check every tracked key with a custom comparison", () => {
+    const [limit, setLimit] = createMoan(2);
+    const isBelow = createSelector(limit, (key, value) => key < value);
+    const runs = rows(isBelow, [1, 2, 3, 4]);
+    setLimit(4);
+    assert.deepEqual(
+      [...runs],
+      [
+        [1, 1],
+        [2, 2],
+        [3, 2],
+        [4, 1],
+      ],
+    );
+  });
+
+  it("stop notifying rows that were disposed", () => {
+    const [selected, setSelected] = createMoan(1);
+    const isSelected = createSelector(selected);
+    let runs = 0;
+    const dispose = createRoot((dispose) => {
+      onClimax(() => {
+        isSelected(2);
+        runs++;
+      });
+      return dispose;
+    });
+    dispose();
+    setSelected(2);
+    assert.equal(runs, 1);
+  });
+});
+
+describe("interop", () => {
+  it("expose signals as observables", () => {
+    const [count, setCount] = createMoan(0);
+    const observable = count[Symbol.observable ?? "@@observable"]();
+    const seen = [];
+    const subscription = observable.subscribe({ next: (value) => seen.push(value) });
+    setCount(1);
+    subscription.unsubscribe();
+    setCount(2);
+    assert.deepEqual(seen, [0, 1]);
+  });
+
+  it("create signals from observables and producers, ending with the scope", () => {
+    const listeners = new Set();
+    const observable = {
+      subscribe(observer) {
+        listeners.add(observer);
+        return { unsubscribe: () => listeners.delete(observer) };
+      },
+    };
+    let stopped = false;
+    const [message, ticks, dispose] = createRoot((dispose) => [
+      from(observable, "none"),
+      from((set) => {
+        set(1);
+        return () => (stopped = true);
+      }),
+      dispose,
+    ]);
+    for (const listener of listeners) listener.next("hello");
+    assert.equal(message(), "hello");
+    assert.equal(ticks(), 1);
+    dispose();
+    assert.equal(listeners.size, 0);
+    assert.equal(stopped, true);
+  });
+
+  it("create signals from async iterables", async () => {
+    async function* stream() {
+      yield "a";
+      yield "b";
+    }
+    const value = from(stream());
+    await new Promise((resolve) => setTimeout(resolve));
+    assert.equal(value(), "b");
+  });
+
+  it("pass errors of a source to the scope handlers", () => {
+    const errors = [];
+    catchError(
+      () => from({ subscribe: (observer) => observer.error(new Error("closed")) }),
+      (err) => errors.push(err.message),
+    );
+    assert.deepEqual(errors, ["closed"]);
+  });
+
+  it("stream the current value and every change", async () => {
+    const [count, setCount] = createMoan(0);
+    const iterator = toAsyncIterator(count);
+    setCount(1);
+    setCount(2);
+    const seen = [];
+    for await (const value of iterator) {
+      seen.push(value);
+      if (value === 2) break;
+    }
+    assert.deepEqual(seen, [0, 1, 2]);
+    assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+  });
+});
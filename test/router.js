@@ -0,0 +1,293 @@
+/**
+ * cumstack Router Tests
+ * guards, redirects and session history bookkeeping of the client router
+ */
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createRouter } from "../src/app/shared/router.js";
+import { setBasePath } from "../src/app/shared/base.js";
+
+/**
+ * install a minimal browser with a session history on globalThis
+ * go() moves asynchronously and fires popstate, like browsers do
+ * @param {string} url - Initial url path
+ * @returns {{ entries: Array<{ url: string, state: any }>, index: () => number, scrolled: Array<string>, fire: Function }} Browser state
+ */
+function installBrowser(url) {
+  const entries = [{ url, state: null }];
+  let index = 0;
+  const listeners = new Map();
+  const scrolled = [];
+  const current = () => new URL(entries[index].url, "http://localhost");
+  const fire = (type, event = {}) => {
+    for (const listener of listeners.get(type) ?? []) listener(event);
+  };
+  const history = {
+    get state() {
+      return entries[index].state;
+    },
+    pushState(state, _title, next) {
+      entries.splice(index + 1, Infinity, { url: next ?? entries[index].url, state });
+      index++;
+    },
+    replaceState(state, _title, next) {
+      entries[index] = { url: next ?? entries[index].url, state };
+    },
+    go(delta) {
+      setTimeout(() => {
+        index += delta;
+        fire("popstate", { state: entries[index].state });
+      });
+    },
+  };
+  globalThis.window = {
+    history,
+    location: {
+      get pathname() {
+        return current().pathname;
+      },
+      get search() {
+        return current().search;
+      },
+      get hash() {
+        return current().hash;
+      },
+      get href() {
+        return current().href;
+      },
+      origin: "http://localhost",
+    },
+    addEventListener: (type, listener) => listeners.set(type, new Set([...(listeners.get(type) ?? []), listener])),
+    removeEventListener: (type, listener) => listeners.get(type)?.delete(listener),
+    scrollTo: (x, y) => {
+      scrolled.push(`${x},${y}`);
+      Object.assign(window, { scrollX: x, scrollY: y });
+    },
+    scrollX: 0,
+    scrollY: 0,
+  };
+  globalThis.document = {
+    getElementById: (id) => (id === "section" ? { scrollIntoView: () => scrolled.push(`#${id}`) } : null),
+  };
+  return { entries, index: () => index, scrolled, fire };
+}
+
+/**
+ * wait until pending history moves and the ones they caused ran, one timer turn each
+ */
+async function settle() {
+  for (let i = 0; i < 5; i++) await new Promise((resolve) => setTimeout(resolve));
+}
+
+/**
+ * create an initialized router with a flat route per path
+ * @param {string[]} paths - Route paths
+ * @param {Record<string, Object>} [records] - Route records by path, for loaders
+ * @returns {Object} Router
+ */
+function routerFor(paths, records = {}) {
+  const router = createRouter();
+  for (const path of paths) router.register(path, { chain: [records[path] ?? { path, keys: [] }] });
+  router.init();
+  return router;
+}
+
+let browser;
+beforeEach(() => {
+  setBasePath("");
+  browser = installBrowser("/a");
+});
+
+describe("guards", () => {
+  it("cancel a navigation by returning false", async () => {
+    const router = routerFor(["/a", "/b"]);
+    router.beforeEach((to) => to.path !== "/b");
+    assert.equal(await router.navigate("/b"), false);
+    assert.equal(router.currentPath(), "/a");
+    assert.equal(browser.entries.length, 1);
+  });
+
+  it("redirect in place of the navigation", async () => {
+    const router = routerFor(["/a", "/admin", "/login"]);
+    router.beforeEach(async (to) => (to.path === "/admin" ? "/login" : true));
+    assert.equal(await router.navigate("/admin"), true);
+    assert.equal(router.currentPath(), "/login");
+    assert.deepEqual(
+      browser.entries.map((entry) => entry.url),
+      ["/a", "/login"],
+    );
+  });
+
+  it("fail after too many redirects", async () => {
+    const router = routerFor(["/a", "/b", "/c"]);
+    router.beforeEach((to) => (to.path === "/b" ? "/c" : to.path === "/c" ? "/b" : true));
+    await assert.rejects(router.navigate("/b"), /too many redirects/);
+  });
+
+  it("run beforeEnter only when entering the route", async () => {
+    const entered = [];
+    const router = routerFor(["/a", "/b"], { "/b": { path: "/b", keys: [], beforeEnter: (to) => void entered.push(to.path) } });
+    await router.navigate("/b");
+    await router.navigate("/b?tab=1");
+    assert.deepEqual(entered, ["/b"]);
+  });
+
+  it("run beforeResolve after loaders and before the view commits", async () => {
+    const order = [];
+    const loader = async () => {
+      order.push("loader");
+      return "data";
+    };
+    const router = routerFor(["/a", "/b"], { "/b": { path: "/b", keys: [], loader } });
+    router.beforeEach(() => void order.push("beforeEach"));
+    router.beforeResolve(() => void order.push(`beforeResolve ${router.currentPath()}`));
+    router.afterEach(() => void order.push(`afterEach ${router.currentPath()}`));
+    await router.navigate("/b");
+    assert.deepEqual(order, ["beforeEach", "loader", "beforeResolve /a", "afterEach /b"]);
+    assert.deepEqual(router.matchRoute().data, ["data"]);
+  });
+});
+
+describe("session history", () => {
+  it("numbers entries and restores the position after a cancelled back navigation", async () => {
+    const router = routerFor(["/a", "/b", "/c"]);
+    await router.navigate("/b");
+    await router.navigate("/c");
+    assert.deepEqual(
+      browser.entries.map((entry) => entry.state.index),
+      [0, 1, 2],
+    );
+    router.beforeEach((to) => to.path !== "/b");
+    window.history.go(-1);
+    await settle();
+    assert.equal(browser.index(), 2);
+    assert.equal(router.currentPath(), "/c");
+  });
+
+  it("keeps the index of a popped entry a guard redirected", async () => {
+    const router = routerFor(["/a", "/b", "/c", "/login"]);
+    await router.navigate("/b");
+    await router.navigate("/c");
+    const unguard = router.beforeEach((to) => (to.path === "/b" ? "/login" : true));
+    window.history.go(-1);
+    await settle();
+    assert.equal(router.currentPath(), "/login");
+    assert.deepEqual(browser.entries[1], { url: "/login", state: { index: 1, state: null } });
+    unguard();
+    // cancelling the next back navigation moves forward by exactly one entry again
+    router.beforeEach(() => false);
+    window.history.go(-1);
+    await settle();
+    assert.equal(browser.index(), 1);
+    assert.equal(router.currentPath(), "/login");
+  });
+
+  it("reports a redirect loop during back navigation instead of throwing from the listener", async (t) => {
+    const log = t.mock.method(console, "error", () => {});
+    const router = routerFor(["/a", "/b", "/c"]);
+    await router.navigate("/b");
+    router.beforeEach((to) => (to.path === "/a" ? "/c" : to.path === "/c" ? "/a" : true));
+    window.history.go(-1);
+    await settle();
+    assert.equal(log.mock.callCount(), 1);
+    assert.match(log.mock.calls[0].arguments[1].message, /too many redirects/);
+    assert.equal(router.currentPath(), "/b");
+  });
+
+  it("scrolls to a same-page #hash without changing the route", async () => {
+    const router = routerFor(["/", "/a"]);
+    const loads = [];
+    router.beforeEach((to) => loads.push(to.path));
+    assert.equal(await router.navigate("#section"), true);
+    assert.deepEqual(loads, []);
+    assert.equal(router.currentPath(), "/a#section");
+    assert.equal(browser.entries[1].url, "/a#section");
+    assert.deepEqual(browser.scrolled, ["#section"]);
+  });
+
+  it("resolves query-only hrefs against the current path", async () => {
+    const router = routerFor(["/", "/a"]);
+    await router.navigate("?page=2");
+    assert.equal(router.currentPath(), "/a?page=2");
+    assert.equal(router.search(), "?page=2");
+  });
+
+  it("keeps the current path and the search params in sync through setSearch and back navigation", async () => {
+    const router = routerFor(["/a", "/b"]);
+    const from = [];
+    router.beforeEach((to, prev) => {
+      from.push(`${prev.path} -> ${to.path}`);
+    });
+    router.setSearch("?page=2");
+    assert.equal(router.currentPath(), "/a?page=2");
+    assert.equal(router.search(), "?page=2");
+    await router.navigate("/b");
+    assert.deepEqual(from, ["/a?page=2 -> /b"]);
+    window.history.go(-1);
+    await settle();
+    assert.deepEqual(from, ["/a?page=2 -> /b", "/b -> /a?page=2"]);
+    assert.equal(router.currentPath(), "/a?page=2");
+    window.history.go(-1);
+    await settle();
+    assert.equal(router.currentPath(), "/a");
+    assert.equal(router.search(), "");
+  });
+});
+
+describe("scroll", () => {
+  it("doesn't save a pending scroll position into the entry of the next page", async (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    // the view swaps later, inside a view transition
+    let swap;
+    document.startViewTransition = (update) => ({ updateCallbackDone: new Promise((resolve) => (swap = () => resolve(update()))) });
+    const router = routerFor(["/a", "/b"]);
+    window.scrollY = 500;
+    browser.fire("scroll");
+    const done = router.navigate("/b");
+    t.mock.timers.tick(100);
+    swap();
+    assert.equal(await done, true);
+    assert.deepEqual(browser.entries[0].state.scroll, { x: 0, y: 500 });
+    assert.equal(browser.entries[1].state.scroll, undefined);
+  });
+
+  it("saves the position of the current entry once scrolling stopped", (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    routerFor(["/a"]);
+    window.scrollY = 300;
+    browser.fire("scroll");
+    t.mock.timers.tick(100);
+    assert.deepEqual(browser.entries[0].state.scroll, { x: 0, y: 300 });
+  });
+
+  it("stops listening once the router is disposed", async (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const router = createRouter();
+    for (const path of ["/a", "/b"]) router.register(path, { chain: [{ path, keys: [] }] });
+    const { ready, dispose } = router.init();
+    assert.equal(ready, null);
+    window.scrollY = 300;
+    browser.fire("scroll");
+    dispose();
+    t.mock.timers.tick(100);
+    assert.equal(browser.entries[0].state.scroll, undefined);
+    browser.fire("popstate", { state: null });
+    assert.equal(router.currentPath(), "/a");
+  });
+});
+
+describe("basePath", () => {
+  it("writes urls under the base path and routes on app paths", async () => {
+    browser = installBrowser("/app/a");
+    setBasePath("/app");
+    const router = routerFor(["/a", "/b"]);
+    assert.equal(router.currentPath(), "/a");
+    await router.navigate("/b");
+    assert.equal(browser.entries[1].url, "/app/b");
+    // urls built with href() already carry the base path
+    await router.navigate("/app/a");
+    assert.equal(router.currentPath(), "/a");
+    assert.equal(browser.entries[2].url, "/app/a");
+  });
+});
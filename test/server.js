@@ -0,0 +1,72 @@
+/**
+ * cumstack Server Tests
+ * page routes rendered by foxgirl
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { foxgirl, Router, Route, Outlet } from "../src/app/server.js";
+import { registerTranslations } from "../src/app/shared/i18n.js";
+import { h } from "../src/app/server/jsx.js";
+import { setBasePath } from "../src/app/shared/base.js";
+
+/**
+ * render a page and return the html inside its app root
+ * @param {Function} fetch - foxgirl fetch handler
+ * @param {string} path - Request path
+ * @returns {Promise<string|null>} Html inside the app root, null when the page has none
+ */
+async function page(fetch, path) {
+  const html = await (await fetch(new Request(`http://localhost${path}`))).text();
+  return html.match(/<div class="app-root">(.*)<\/div><\/div><script/)?.[1] ?? null;
+}
+
+describe("foxgirl routes", () => {
+  registerTranslations("en", {});
+  registerTranslations("de", {});
+  const fetch = foxgirl(() =>
+    Router({
+      i18nOpt: { explicitRouting: true, defaultLng: "en", fallbackLng: "en" },
+      children: [
+        Route({
+          path: "/docs",
+          component: () => h("section", {}, Outlet()),
+          children: [Route({ path: ":slug", component: ({ path, params }) => h("p", {}, `${path} ${params.slug}`) })],
+        }),
+      ],
+    }),
+  );
+
+  it("render nested routes inside their layout", async () => {
+    assert.equal(
+      await page(fetch, "/docs/intro"),
+      '<div data-cumstack-boundary="outlet" style="display: contents"><section><div data-cumstack-boundary="outlet" style="display: contents"><p>/docs/intro intro</p></div></section></div>',
+    );
+  });
+
+  it("pass components the full path, language prefix included, like the client does", async () => {
+    assert.match(await page(fetch, "/de/docs/intro"), /<p>\/de\/docs\/intro intro<\/p>/);
+  });
+});
+
+describe("foxgirl under a base path", () => {
+  after(() => setBasePath());
+
+  it("serve the client assets under the base path from the assets directory", async () => {
+    const fetch = foxgirl(() => [Route({ path: "/", component: () => h("p", {}, "home") })], { basePath: "/app" });
+    const requested = [];
+    const env = {
+      ASSETS: {
+        fetch: async (request) => {
+          requested.push(new URL(request.url).pathname);
+          return request.url.endsWith("/main.client.js") ? new Response("bundle") : new Response("not found", { status: 404 });
+        },
+      },
+    };
+    const html = await (await fetch(new Request("http://localhost/app/"), env)).text();
+    assert.match(html, /src="\/app\/main\.client\.js"/);
+    assert.equal(await (await fetch(new Request("http://localhost/app/main.client.js"), env)).text(), "bundle");
+    assert.equal((await fetch(new Request("http://localhost/app/chunks/missing.js"), env)).status, 404);
+    assert.deepEqual(requested, ["/main.client.js", "/chunks/missing.js"]);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * cumstack Store Tests
+ * per-path tracking, the path setter and produce
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createStore, produce, unwrap } from "../src/app/shared/store.js";
+import { onClimax, batch } from "../src/app/shared/reactivity.js";
+
+/**
+ * count the runs of an effect reading one part of a store
+ * @param {() => any} read - Store read
+ * @returns {{ runs: number }} Run counter
+ */
+function watch(read) {
+  const stats = { runs: 0 };
+  onClimax(() => {
+    read();
+    stats.runs++;
+  });
+  return stats;
+}
+
+describe("createStore", () => {
+  it("track nested properties separately", () => {
+    const [state, setState] = createStore({ user: { name: "Ada", age: 36 } });
+    const name = watch(() => state.user.name);
+    const age = watch(() => state.user.age);
+    setState("user", "name", "Grace");
+    assert.equal(state.user.name, "Grace");
+    assert.equal(name.runs, 2);
+    assert.equal(age.runs, 1);
+  });
+
+  it("merge objects into the current value and apply updaters", () => {
+    const [state, setState] = createStore({ user: { name: "Ada", age: 36 } });
+    const name = watch(() => state.user.name);
+    setState("user", { age: 37 });
+    setState("user", "age", (age) => age + 1);
+    assert.deepEqual(unwrap(state), { user: { name: "Ada", age: 38 } });
+    assert.equal(name.runs, 1);
+  });
+
+  it("update the array items a filter path selects", () => {
+    const [state, setState] = createStore({ todos: [{ done: false }, { done: true }, { done: false }] });
+    const first = watch(() => state.todos[0].done);
+    const second = watch(() => state.todos[1].done);
+    setState("todos", (todo) => !todo.done, "done", true);
+    assert.deepEqual(
+      state.todos.map((todo) => todo.done),
+      [true, true, true],
+    );
+    assert.equal(first.runs, 2);
+    assert.equal(second.runs, 1);
+  });
+
+  it("update every key of a key list", () => {
+    const [state, setState] = createStore({ a: 0, b: 0, c: 0 });
+    const c = watch(() => state.c);
+    setState(["a", "b"], 1);
+    assert.deepEqual(unwrap(state), { a: 1, b: 1, c: 0 });
+    assert.equal(c.runs, 1);
+  });
+
+  it("notify key readers when properties are added", () => {
+    const [state, setState] = createStore({ a: 1 });
+    const seen = [];
+    onClimax(() => seen.push(Object.keys(state).join()));
+    const missing = watch(() => state.b);
+    setState("b", 2);
+    assert.deepEqual(seen, ["a", "a,b"]);
+    assert.equal(missing.runs, 2);
+  });
+
+  it("ignore writes outside the setter", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const [state] = createStore({ count: 0 });
+    state.count = 1;
+    assert.equal(state.count, 0);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it("reject values that are not plain objects or arrays", () => {
+    assert.throws(() => createStore(new Date()), /plain object or array/);
+  });
+});
+
+describe("produce", () => {
+  it("apply draft mutations and notify only the changed paths", () => {
+    const [state, setState] = createStore({ todos: [{ title: "write docs" }], filter: "all" });
+    const length = watch(() => state.todos.length);
+    const title = watch(() => state.todos[0].title);
+    const filter = watch(() => state.filter);
+    setState(
+      produce((draft) => {
+        draft.todos.push({ title: "ship" });
+        draft.filter = "open";
+      }),
+    );
+    assert.deepEqual(unwrap(state), { todos: [{ title: "write docs" }, { title: "ship" }], filter: "open" });
+    assert.equal(length.runs, 2);
+    assert.equal(title.runs, 1);
+    assert.equal(filter.runs, 2);
+  });
+
+  it("delete properties of a nested draft", () => {
+    const [state, setState] = createStore({ user: { name: "Ada", nickname: "ada" } });
+    const nickname = watch(() => state.user.nickname);
+    setState(
+      "user",
+      produce((draft) => {
+        delete draft.nickname;
+      }),
+    );
+    assert.equal("nickname" in state.user, false);
+    assert.equal(nickname.runs, 2);
+  });
+
+  it("run readers once when several mutations land in a batch", () => {
+    const [state, setState] = createStore({ a: 0, b: 0 });
+    const seen = [];
+    onClimax(() => seen.push(state.a + state.b));
+    batch(() => {
+      setState("a", 1);
+      setState("b", 2);
+    });
+    assert.deepEqual(seen, [0, 3]);
+  });
+});
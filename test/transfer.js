@@ -0,0 +1,59 @@
+/**
+ * cumstack Transfer Tests
+ * the cumstack-data payload the server embeds for the client
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createTransferState, runWithTransfer, getTransfer, registerTransfer, serializeTransfer } from "../src/app/shared/transfer.js";
+
+describe("serializeTransfer", () => {
+  it("escapes markup and line separators so the payload can't leave its script tag", () => {
+    const state = createTransferState();
+    state.values.comment = "</script><script>alert(1)</script><!-- & \u2028\u2029";
+    const json = serializeTransfer(state, { language: "en" });
+    for (const unsafe of ["<", ">", "&", "\u2028", "\u2029"])
+      assert.equal(json.includes(unsafe), false, `payload contains ${JSON.stringify(unsafe)}`);
+    assert.deepEqual(JSON.parse(json), { language: "en", state: { comment: state.values.comment } });
+  });
+
+  it("reads registered signals and embeds loader data", () => {
+    const state = createTransferState();
+    let count = 1;
+    runWithTransfer(state, () => registerTransfer("count", () => count));
+    count = 2;
+    state.loaderData = [{ user: "ada" }];
+    assert.deepEqual(JSON.parse(serializeTransfer(state)), { state: { count: 2 }, loaderData: [{ user: "ada" }] });
+  });
+
+  it("serializes a page rendered without transfer state", () => {
+    assert.deepEqual(JSON.parse(serializeTransfer(null, { basePath: "/app" })), { basePath: "/app", state: {} });
+  });
+});
+
+describe("createTransferState", () => {
+  it("keeps the cookies and query string of the request", () => {
+    const request = new Request("http://localhost/search?q=cats&page=2", { headers: { cookie: "theme=dark" } });
+    const state = createTransferState(request);
+    assert.equal(state.cookies, "theme=dark");
+    assert.equal(state.search, "?q=cats&page=2");
+    assert.equal(createTransferState().search, "");
+  });
+});
+
+describe("runWithTransfer", () => {
+  it("restores the outer state, also when the render throws", () => {
+    const outer = createTransferState();
+    const inner = createTransferState();
+    runWithTransfer(outer, () => {
+      assert.throws(() =>
+        runWithTransfer(inner, () => {
+          assert.equal(getTransfer(), inner);
+          throw new Error("render failed");
+        }),
+      );
+      assert.equal(getTransfer(), outer);
+    });
+    assert.equal(getTransfer(), null);
+  });
+});